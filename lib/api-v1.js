@@ -0,0 +1,184 @@
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const fs = require('fs-extra');
+const { v4: uuidv4 } = require('uuid');
+
+// Versioned JSON API for programmatic submissions. Every request carries an
+// API key (Authorization: Bearer <key> or X-API-Key), and a client only sees
+// the jobs created with its own key. Nothing is emailed: the download links
+// of the web pages need its session, so clients fetch the artifacts here.
+//
+//   POST /jobs                          multipart "files" (+ name, idNumber, ...)
+//   GET  /jobs/:id                      status and per-file results
+//   GET  /jobs/:id/expenses             extracted expenses, duplicates and per-file failures
+//   GET  /jobs/:id/artifacts/:artifact  "excel", "zip", "pdf" or "openformat"
+
+// API_KEYS is a comma separated list
+function parseApiKeys(value) {
+  return String(value || '')
+    .split(',')
+    .map((key) => key.trim())
+    .filter(Boolean);
+}
+
+// Jobs store a fingerprint of the key, never the key itself.
+function fingerprintKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+function keysMatch(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+function readApiKey(req) {
+  const authorization = req.get('Authorization') || '';
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : (req.get('X-API-Key') || '').trim();
+}
+
+function createApiRouter({
+  apiKeys,
+  inputFolder,
+  jobStore,
+  upload,
+  enqueueUploadJob,
+  getQueuePosition,
+  sendDownload,
+}) {
+  const router = express.Router();
+
+  function authenticate(req, res, next) {
+    if (apiKeys.length === 0) {
+      res.status(503).json({ error: 'The API is not enabled on this server.' });
+      return;
+    }
+    const key = readApiKey(req);
+    if (!key || !apiKeys.some((apiKey) => keysMatch(apiKey, key))) {
+      res.status(401).json({ error: 'Missing or invalid API key.' });
+      return;
+    }
+    req.apiClient = fingerprintKey(key);
+    next();
+  }
+
+  function assignJob(req, res, next) {
+    req.jobId = uuidv4();
+    req.jobFolder = path.join(inputFolder, 'api', req.jobId);
+    next();
+  }
+
+  function loadJob(req, res, next) {
+    const job = jobStore.get(req.params.id);
+    if (!job || job.apiClient !== req.apiClient) {
+      res.status(404).json({ error: 'Job not found.' });
+      return;
+    }
+    req.job = job;
+    next();
+  }
+
+  function isFinished(job) {
+    return job.state === 'completed' || job.state === 'failed';
+  }
+
+  function serializeJob(job) {
+    const self = `/api/v1/jobs/${job.id}`;
+    const { excelPath, zipPath, receiptsPdfPath, openFormatPath } = job.artifacts || {};
+    const artifacts = {};
+    if (excelPath) artifacts.excel = `${self}/artifacts/excel`;
+    if (zipPath) artifacts.zip = `${self}/artifacts/zip`;
+    if (receiptsPdfPath) artifacts.pdf = `${self}/artifacts/pdf`;
+    if (openFormatPath) artifacts.openformat = `${self}/artifacts/openformat`;
+
+    return {
+      id: job.id,
+      state: job.state,
+      queuePosition: job.state === 'queued' ? getQueuePosition(job.id) : 0,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt || null,
+      finishedAt: job.finishedAt || null,
+      expiresAt: job.expiresAt || null,
+      error: job.error || null,
+      files: job.fileResults || [],
+      links: {
+        self,
+        expenses: `${self}/expenses`,
+        artifacts,
+      },
+    };
+  }
+
+  router.use(authenticate);
+
+  router.post('/jobs', assignJob, upload, (req, res) => {
+    if (!req.files || req.files.length === 0) {
+      fs.remove(req.jobFolder).catch(() => {});
+      res.status(400).json({
+        error: 'No supported files uploaded. Send PDF, JPG, PNG or TIFF files in the "files" field.',
+      });
+      return;
+    }
+    const job = enqueueUploadJob(req, { apiClient: req.apiClient });
+    res.status(202).location(`/api/v1/jobs/${job.id}`).json(serializeJob(job));
+  });
+
+  router.get('/jobs/:id', loadJob, (req, res) => {
+    res.json(serializeJob(req.job));
+  });
+
+  router.get('/jobs/:id/expenses', loadJob, (req, res) => {
+    const { job } = req;
+    if (!isFinished(job)) {
+      res.status(409).json({ error: 'The job has not finished yet.', state: job.state });
+      return;
+    }
+    const files = job.fileResults || [];
+    res.json({
+      jobId: job.id,
+      state: job.state,
+      error: job.error || null,
+      expenses: job.expenses || [],
+      duplicates: job.duplicates || [],
+      failures: files.filter((file) => file.status === 'Failed' || file.status === 'Locked'),
+    });
+  });
+
+  router.get('/jobs/:id/artifacts/:artifact', loadJob, (req, res) => {
+    const artifactPaths = {
+      excel: req.job.artifacts && req.job.artifacts.excelPath,
+      zip: req.job.artifacts && req.job.artifacts.zipPath,
+      pdf: req.job.artifacts && req.job.artifacts.receiptsPdfPath,
+      openformat: req.job.artifacts && req.job.artifacts.openFormatPath,
+    };
+    const filePath = artifactPaths[req.params.artifact];
+    if (!filePath || !fs.existsSync(filePath)) {
+      res.status(404).json({ error: 'Artifact not found. It may have expired and been deleted.' });
+      return;
+    }
+    sendDownload(res, filePath, path.basename(filePath));
+  });
+
+  // Upload errors (too large, too many files) answer in JSON like the rest
+  router.use((error, req, res, next) => {
+    if (req.jobFolder) {
+      fs.remove(req.jobFolder).catch(() => {});
+    }
+    if (error.name === 'MulterError') {
+      res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: error.message });
+      return;
+    }
+    console.error('API request failed:', error);
+    res.status(500).json({ error: 'Internal server error.' });
+  });
+
+  return router;
+}
+
+module.exports = {
+  createApiRouter,
+  parseApiKeys,
+  keysMatch,
+};
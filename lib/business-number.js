@@ -0,0 +1,126 @@
+// Israeli business numbers (ח.פ. for companies, ע.מ. / עוסק מורשה for dealers,
+// who use their ID number) are 9 digits with a check digit. Document AI often
+// returns them with separators, OCR confusions, or picks up a phone number.
+
+const KEYWORD_PATTERN = /(ח\.?\s?פ|ע\.?\s?מ|ח"פ|ע"מ|עוסק\s+מורשה|עוסק\s+פטור|מס['׳]?\s*עוסק|ת\.?\s?ז|company\s+(?:no|number)|vat\s+(?:no|number|id))/i;
+const NUMBER_PATTERN = /\d[\d\s-]{4,12}\d/g;
+// Without a label only a bare 9-digit run will do, not one inside a date,
+// time or phone number
+const UNLABELLED_PATTERN = /(?<![\d/.:+-])\d{9}(?![\d/.:-])/g;
+const MONEY_ENTITY_TYPES = ['Price-Without-Vat', 'VAT', 'Total-Price', 'Date'];
+
+// Letters OCR tends to read instead of digits, only applied to mostly-digit values
+const OCR_DIGITS = { O: '0', o: '0', D: '0', I: '1', l: '1', '|': '1', S: '5', B: '8', Z: '2' };
+
+function normalizeBusinessNumber(value) {
+  let text = String(value || '').trim();
+  const digitCount = (text.match(/\d/g) || []).length;
+  if (digitCount >= 5) {
+    text = text.replace(/[OoDIl|SBZ]/g, (char) => OCR_DIGITS[char]);
+  }
+  const digits = text.replace(/\D+/g, '');
+  if (digits.length < 5 || digits.length > 9) {
+    return null;
+  }
+  return digits.padStart(9, '0');
+}
+
+// Same algorithm as the Israeli ID number: alternate weights 1 and 2, digit
+// sums of the products, total divisible by 10.
+function isValidIsraeliId(nineDigits) {
+  if (!/^\d{9}$/.test(nineDigits) || /^0+$/.test(nineDigits)) {
+    return false;
+  }
+  let sum = 0;
+  for (let i = 0; i < 9; i++) {
+    let product = Number(nineDigits[i]) * ((i % 2) + 1);
+    if (product > 9) product -= 9;
+    sum += product;
+  }
+  return sum % 10 === 0;
+}
+
+function validBusinessNumber(value) {
+  const normalized = normalizeBusinessNumber(value);
+  return normalized && isValidIsraeliId(normalized) ? normalized : null;
+}
+
+// Number-like runs in the page text right after a business number label, and
+// unlabelled 9-digit runs. Unlabelled runs starting with 0 are skipped: they
+// are usually phones.
+function textCandidates(text) {
+  const labelled = [];
+  for (const match of String(text || '').matchAll(NUMBER_PATTERN)) {
+    const before = text.slice(Math.max(0, match.index - 20), match.index);
+    if (KEYWORD_PATTERN.test(before)) {
+      labelled.push(match[0]);
+    }
+  }
+  const others = [...String(text || '').matchAll(UNLABELLED_PATTERN)]
+    .map((match) => match[0])
+    .filter((value) => !value.startsWith('0'));
+  return { labelled, others };
+}
+
+// Returns { BusinessNumber, BusinessNumberValid, BusinessNumberSource }, where
+// the source is 'extracted', 'entity' or 'text' for a valid number and '' when
+// none was found (the raw extracted value is kept so it can be checked by hand).
+function resolveBusinessNumber(extracted, { entities = [], text = '', exclude = [] } = {}) {
+  const excluded = new Set(exclude.map(normalizeBusinessNumber).filter(Boolean));
+  // Unlabelled values are never padded: too many order numbers would pass
+  const pick = (value, { labelled = true } = {}) => {
+    if (!labelled && String(value || '').replace(/\D+/g, '').length !== 9) return null;
+    const valid = validBusinessNumber(value);
+    return valid && !excluded.has(valid) ? valid : null;
+  };
+
+  const direct = pick(extracted);
+  if (direct) {
+    return { BusinessNumber: direct, BusinessNumberValid: true, BusinessNumberSource: 'extracted' };
+  }
+
+  const { labelled, others } = textCandidates(text);
+  const entityValues = entities
+    .filter((entity) => entity.type !== 'Business-Number' && entity.type !== 'Invoice-Number')
+    .filter((entity) => !MONEY_ENTITY_TYPES.includes(entity.type))
+    .map((entity) => entity.mentionText || '');
+
+  const searchOrder = [
+    ['entity', entityValues, false],
+    ['text', labelled, true],
+    ['text', others, false],
+  ];
+  for (const [source, values, isLabelled] of searchOrder) {
+    for (const value of values) {
+      const found = pick(value, { labelled: isLabelled });
+      if (found) {
+        return { BusinessNumber: found, BusinessNumberValid: true, BusinessNumberSource: source };
+      }
+    }
+  }
+
+  return {
+    BusinessNumber: String(extracted || '').trim(),
+    BusinessNumberValid: false,
+    BusinessNumberSource: '',
+  };
+}
+
+// Note for the Excel; empty when the extracted number was valid as is
+function describeBusinessNumber(expense) {
+  if (expense.BusinessNumberValid === undefined) return '';
+  if (!expense.BusinessNumberValid) {
+    return expense.BusinessNumber ? 'מספר עסק לא תקין' : 'חסר מספר עסק';
+  }
+  if (expense.BusinessNumberSource && expense.BusinessNumberSource !== 'extracted') {
+    return 'מספר עסק נמצא בטקסט הקבלה';
+  }
+  return '';
+}
+
+module.exports = {
+  normalizeBusinessNumber,
+  isValidIsraeliId,
+  resolveBusinessNumber,
+  describeBusinessNumber,
+};
@@ -0,0 +1,119 @@
+const fs = require('fs-extra');
+
+// Assigns an expense category from editable rules. A rule names a category and
+// any of: businessNumbers (exact), businessNames (substring of the business
+// name) and keywords (substring of the business name or the document text).
+//
+// [{ "category": "דלק", "businessNames": ["פז", "סונול"], "keywords": ["דלק"] }]
+//
+// Business numbers are the most specific, so every rule is tried on them
+// first, then on names, then on keywords; within a pass the first rule wins.
+
+const UNCATEGORIZED = 'ללא קטגוריה';
+
+const DEFAULT_CATEGORY_RULES = [
+  {
+    category: 'דלק',
+    businessNames: ['פז', 'סונול', 'דור אלון', 'דלק', 'paz', 'sonol'],
+    keywords: ['דלק', 'בנזין', 'סולר', 'fuel', 'gasoline'],
+  },
+  {
+    category: 'ארוחות',
+    businessNames: ['wolt', 'תן ביס', '10bis', 'מסעדת', 'קפה', 'cafe', 'restaurant'],
+    keywords: ['מסעדה', 'ארוחה', 'restaurant', 'meal'],
+  },
+  {
+    category: 'תוכנה',
+    businessNames: ['google', 'microsoft', 'adobe', 'github', 'amazon web services', 'atlassian', 'openai', 'apple'],
+    keywords: ['subscription', 'מנוי', 'software', 'license', 'רישיון'],
+  },
+  {
+    category: 'נסיעות',
+    businessNames: ['אל על', 'ישראייר', 'ארקיע', 'רכבת ישראל', 'gett', 'uber', 'booking', 'airbnb', 'el al'],
+    keywords: ['טיסה', 'מלון', 'flight', 'hotel', 'taxi', 'מונית'],
+  },
+  {
+    category: 'ציוד משרדי',
+    businessNames: ['אופיס דיפו', 'office depot', 'קרביץ', 'kravitz'],
+    keywords: ['ציוד משרדי', 'office supplies', 'נייר', 'toner', 'טונר'],
+  },
+];
+
+function loadCategoryRules(rulesFile) {
+  if (!rulesFile || !fs.existsSync(rulesFile)) {
+    return DEFAULT_CATEGORY_RULES;
+  }
+  try {
+    const rules = fs.readJsonSync(rulesFile);
+    return Array.isArray(rules) ? rules : DEFAULT_CATEGORY_RULES;
+  } catch (error) {
+    console.error('Error reading category rules:', error.message);
+    return DEFAULT_CATEGORY_RULES;
+  }
+}
+
+// Throws with a message fit for the settings page when the rules are malformed
+function validateCategoryRules(rules) {
+  if (!Array.isArray(rules)) {
+    throw new Error('Rules must be a JSON array.');
+  }
+  rules.forEach((rule, index) => {
+    if (!rule || typeof rule.category !== 'string' || !rule.category.trim()) {
+      throw new Error(`Rule ${index + 1} needs a category name.`);
+    }
+    ['businessNumbers', 'businessNames', 'keywords'].forEach((field) => {
+      if (rule[field] !== undefined && !Array.isArray(rule[field])) {
+        throw new Error(`Rule ${index + 1}: ${field} must be a list.`);
+      }
+    });
+  });
+  return rules;
+}
+
+function saveCategoryRules(rulesFile, rules) {
+  validateCategoryRules(rules);
+  const tempFile = `${rulesFile}.tmp`;
+  fs.writeJsonSync(tempFile, rules, { spaces: 2 });
+  fs.moveSync(tempFile, rulesFile, { overwrite: true });
+}
+
+function normalizeText(value) {
+  return String(value || '').toLowerCase();
+}
+
+function digitsOf(value) {
+  return String(value || '').replace(/\D+/g, '');
+}
+
+function containsAny(text, terms) {
+  return (terms || []).some((term) => term && text.includes(normalizeText(term)));
+}
+
+function categorizeExpense(expense, documentText, rules = DEFAULT_CATEGORY_RULES) {
+  const businessNumber = digitsOf(expense.BusinessNumber);
+  const businessName = normalizeText(expense.BusinessName);
+  const text = `${businessName}\n${normalizeText(documentText)}`;
+
+  const passes = [
+    (rule) =>
+      businessNumber &&
+      (rule.businessNumbers || []).some((number) => digitsOf(number) === businessNumber),
+    (rule) => businessName && containsAny(businessName, rule.businessNames),
+    (rule) => containsAny(text, rule.keywords),
+  ];
+
+  for (const matches of passes) {
+    const rule = rules.find(matches);
+    if (rule) return rule.category;
+  }
+  return UNCATEGORIZED;
+}
+
+module.exports = {
+  UNCATEGORIZED,
+  DEFAULT_CATEGORY_RULES,
+  loadCategoryRules,
+  validateCategoryRules,
+  saveCategoryRules,
+  categorizeExpense,
+};
@@ -0,0 +1,85 @@
+// Runs fn(item, index) over items with at most `limit` calls in flight and
+// resolves to the results in input order. After the first rejection no new
+// items are started and the returned promise rejects with that error.
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let failed = false;
+
+  async function worker() {
+    while (!failed && nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Sliding-window limiter shared by every job, so the combined request rate to
+// an API stays under its per-minute quota however many jobs run at once.
+function createRateLimiter({ maxRequests, intervalMs = 60000 }) {
+  const timestamps = [];
+  let chain = Promise.resolve();
+
+  async function takeSlot() {
+    if (!maxRequests) return;
+    for (;;) {
+      const now = Date.now();
+      while (timestamps.length > 0 && timestamps[0] <= now - intervalMs) {
+        timestamps.shift();
+      }
+      if (timestamps.length < maxRequests) {
+        timestamps.push(now);
+        return;
+      }
+      await wait(timestamps[0] + intervalMs - now);
+    }
+  }
+
+  // Callers are served in arrival order.
+  function acquire() {
+    const slot = chain.then(takeSlot);
+    chain = slot;
+    return slot;
+  }
+
+  return { acquire };
+}
+
+// Calls fn until it resolves. While shouldRetry(error) holds and retries are
+// left, waits baseDelayMs * 2^attempt, capped at maxDelayMs and randomized
+// down to half so parallel callers don't retry in step. onRetry(error,
+// attempt, delayMs) is called before each wait.
+async function retryWithBackoff(
+  fn,
+  { retries = 5, baseDelayMs = 1000, maxDelayMs = 32000, shouldRetry = () => true, onRetry = () => {} } = {}
+) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error)) throw error;
+      const delayMs = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt) * (0.5 + Math.random() / 2);
+      onRetry(error, attempt + 1, delayMs);
+      await wait(delayMs);
+    }
+  }
+}
+
+module.exports = {
+  mapWithConcurrency,
+  createRateLimiter,
+  retryWithBackoff,
+};
@@ -0,0 +1,110 @@
+// Currency detection for receipt amounts. Symbols are checked longest-first so
+// that e.g. "US$" and "C$" win over a bare "$".
+const CURRENCY_SYMBOLS = [
+  ['ש"ח', 'ILS'],
+  ['ש״ח', 'ILS'],
+  ['₪', 'ILS'],
+  ['US$', 'USD'],
+  ['C$', 'CAD'],
+  ['CA$', 'CAD'],
+  ['A$', 'AUD'],
+  ['AU$', 'AUD'],
+  ['HK$', 'HKD'],
+  ['NZ$', 'NZD'],
+  ['€', 'EUR'],
+  ['£', 'GBP'],
+  ['¥', 'JPY'],
+  ['₹', 'INR'],
+  ['₽', 'RUB'],
+  ['₺', 'TRY'],
+  ['₴', 'UAH'],
+  ['zł', 'PLN'],
+  ['Kč', 'CZK'],
+  ['฿', 'THB'],
+  ['$', 'USD'],
+].sort((a, b) => b[0].length - a[0].length);
+
+const CURRENCY_ALIASES = {
+  NIS: 'ILS',
+  NLS: 'ILS',
+  RMB: 'CNY',
+};
+
+// Every ISO 4217 code, whether or not there is an exchange rate for it; the
+// exchange rate provider decides which ones can be converted. Codes that are
+// far more often English words in a receipt are left out.
+const WORD_LIKE_CODES = new Set(['ALL', 'BAM', 'BOB', 'CUP', 'MOP', 'PEN', 'SOS', 'TOP']);
+const ISO_CURRENCY_CODES = new Set(
+  Intl.supportedValuesOf('currency').filter((code) => !WORD_LIKE_CODES.has(code))
+);
+
+function normalizeCurrencyCode(code) {
+  if (!code) return '';
+  const upper = String(code).trim().toUpperCase();
+  const normalized = CURRENCY_ALIASES[upper] || upper;
+  return ISO_CURRENCY_CODES.has(normalized) ? normalized : '';
+}
+
+// False for a receipt whose amounts stayed in their own currency for lack of
+// an exchange rate; those are left out of every shekel total and export
+function isConvertedToShekels(expense) {
+  return !expense.Currency || expense.Currency === 'ILS';
+}
+
+// Returns the ISO code found in the text, or '' when no currency is mentioned.
+function detectCurrency(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+
+  const codeMatches = text.match(/\b[A-Z]{3}\b/g) || [];
+  for (const match of codeMatches) {
+    const code = normalizeCurrencyCode(match);
+    if (code) return code;
+  }
+
+  for (const [symbol, code] of CURRENCY_SYMBOLS) {
+    if (text.includes(symbol)) return code;
+  }
+
+  return '';
+}
+
+// Returns every currency mentioned in the text. Matched symbols are removed as
+// they are found so "US$" is not counted again as a bare "$".
+function detectCurrencies(value) {
+  const found = new Set();
+  if (value === undefined || value === null) return found;
+  let text = String(value);
+
+  for (const match of text.match(/\b[A-Z]{3}\b/g) || []) {
+    const code = normalizeCurrencyCode(match);
+    if (code) found.add(code);
+  }
+
+  for (const [symbol, code] of CURRENCY_SYMBOLS) {
+    if (text.includes(symbol)) {
+      found.add(code);
+      text = text.split(symbol).join(' ');
+    }
+  }
+
+  return found;
+}
+
+// Currencies written next to an amount ("USD 12.50", "12.50 €"); a code
+// elsewhere on the page, such as a shop called "AMD", doesn't count
+function detectAmountCurrencies(value) {
+  const found = new Set();
+  if (value === undefined || value === null) return found;
+  const amounts = String(value).match(/\S*[ \t]?\d[\d,.]*[ \t]?\S*/g) || [];
+  amounts.forEach((text) => detectCurrencies(text).forEach((code) => found.add(code)));
+  return found;
+}
+
+module.exports = {
+  detectCurrency,
+  detectCurrencies,
+  detectAmountCurrencies,
+  normalizeCurrencyCode,
+  isConvertedToShekels,
+};
@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+
+// The same receipt can reach one job twice: a vendor sends it again, or it is
+// both attached to an email and uploaded by hand. Byte-identical files are
+// caught by their content hash before they cost a Document AI call; different
+// files of the same invoice are caught afterwards by the extracted fields.
+
+async function hashFile(filePath) {
+  const content = await fs.promises.readFile(filePath);
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function normalizeIdentifier(value) {
+  return String(value || '')
+    .replace(/[^0-9a-z]/gi, '')
+    .replace(/^0+/, '')
+    .toLowerCase();
+}
+
+// Null unless all four fields were extracted; receipts that are merely missing
+// the same fields must not collide.
+function invoiceKey(expense) {
+  if (!expense) return null;
+  const businessNumber = normalizeIdentifier(expense.BusinessNumber);
+  const invoiceNumber = normalizeIdentifier(expense.InvoiceNumber);
+  const total = parseFloat(expense.TotalPrice);
+  if (!businessNumber || !invoiceNumber || isNaN(total) || !expense.Date) {
+    return null;
+  }
+  return [businessNumber, invoiceNumber, total.toFixed(2), expense.Date].join('|');
+}
+
+// For each file, the index of the first earlier file with identical content,
+// or -1. Unreadable files are left for processFile to report.
+async function findContentDuplicates(files) {
+  const firstByHash = new Map();
+  const duplicateOf = [];
+  for (const [index, filePath] of files.entries()) {
+    let hash = null;
+    try {
+      hash = await hashFile(filePath);
+    } catch (error) {
+      console.error('Error hashing file:', filePath, error.message);
+    }
+    if (hash && firstByHash.has(hash)) {
+      duplicateOf.push(firstByHash.get(hash));
+    } else {
+      if (hash) firstByHash.set(hash, index);
+      duplicateOf.push(-1);
+    }
+  }
+  return duplicateOf;
+}
+
+// expenses[i] is the expense extracted from file i, or null. Returns for each
+// the index of the first earlier expense for the same invoice, or -1.
+function findInvoiceDuplicates(expenses) {
+  const firstByKey = new Map();
+  return expenses.map((expense, index) => {
+    const key = invoiceKey(expense);
+    if (!key) return -1;
+    if (firstByKey.has(key)) return firstByKey.get(key);
+    firstByKey.set(key, index);
+    return -1;
+  });
+}
+
+module.exports = {
+  hashFile,
+  invoiceKey,
+  findContentDuplicates,
+  findInvoiceDuplicates,
+};
@@ -0,0 +1,162 @@
+const fs = require('fs-extra');
+const { PDFDocument, rgb } = require('pdf-lib');
+const { visualOrder, loadFont } = require('./receipts-pdf');
+
+// Receipts sent as the email body itself (Apple, Uber, Bolt...) are printed
+// into a plain PDF so they go through the same extraction as attachments. The
+// layout is lost, but the text Document AI needs is kept, under a header with
+// the sender, subject and date, which are also set as the PDF's metadata.
+
+const PAGE_SIZE = [595.28, 841.89]; // A4
+const MARGIN = 40;
+const FONT_SIZE = 10;
+const LINE_HEIGHT = 14;
+const MAX_PAGES = 10;
+
+const HEBREW = /[\u0590-\u05ff]/;
+
+const ENTITIES = {
+  nbsp: ' ',
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  shekel: '₪',
+  euro: '€',
+  pound: '£',
+  copy: '©',
+  reg: '®',
+  ndash: '-',
+  mdash: '-',
+  hellip: '...',
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+    }
+    return ENTITIES[entity.toLowerCase()] !== undefined ? ENTITIES[entity.toLowerCase()] : '';
+  });
+}
+
+// Keeps the line structure of tables and paragraphs, which is what makes the
+// totals readable after the tags are gone
+function htmlToText(html) {
+  const text = String(html || '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(head|style|script|title)\b[\s\S]*?<\/\1\s*>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|tr|table|h[1-6]|li|ul|ol|section|article|header|footer|blockquote)\s*>/gi, '\n')
+    .replace(/<li\b[^>]*>/gi, '- ')
+    .replace(/<\/(td|th)\s*>/gi, '   ')
+    .replace(/<[^>]+>/g, '');
+  return normalizeText(decodeEntities(text));
+}
+
+function normalizeText(text) {
+  return String(text || '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[\u200b-\u200f\u202a-\u202e\u2066-\u2069\ufeff]/g, '')
+    .split('\n')
+    .map((line) => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Splits a logical line into lines that fit maxWidth, breaking on spaces
+function wrapLine(line, font, maxWidth) {
+  const lines = [];
+  let current = '';
+  for (const word of line.split(' ')) {
+    const candidate = current ? `${current} ${word}` : word;
+    if (font.widthOfTextAtSize(candidate, FONT_SIZE) <= maxWidth) {
+      current = candidate;
+      continue;
+    }
+    if (current) lines.push(current);
+    // A word wider than the page (a long link) is cut
+    current = word;
+    while (font.widthOfTextAtSize(current, FONT_SIZE) > maxWidth) {
+      let cut = current.length - 1;
+      while (cut > 1 && font.widthOfTextAtSize(current.slice(0, cut), FONT_SIZE) > maxWidth) cut--;
+      lines.push(current.slice(0, cut));
+      current = current.slice(cut);
+    }
+  }
+  lines.push(current);
+  return lines;
+}
+
+// email: { sender, subject, date, html, text }; html is used when present.
+// Resolves to outputPath.
+async function createEmailPdf(email, outputPath, { fontPath } = {}) {
+  const pdfDoc = await PDFDocument.create();
+  const { font, characters } = await loadFont(pdfDoc, fontPath);
+  // Helvetica would drop every Hebrew letter and leave Document AI nothing to read
+  if (!characters.has(0x05d0)) {
+    throw new Error(`No font with Hebrew glyphs at ${fontPath || 'RECEIPTS_PDF_FONT'}`);
+  }
+  // Emoji and other characters the font lacks are dropped
+  const drawable = (text) =>
+    [...text].filter((char) => char === ' ' || characters.has(char.codePointAt(0))).join('');
+
+  const date = email.date instanceof Date && !isNaN(email.date) ? email.date : null;
+  pdfDoc.setTitle(email.subject || '');
+  pdfDoc.setAuthor(email.sender || '');
+  pdfDoc.setSubject(email.subject || '');
+  pdfDoc.setKeywords(['email receipt']);
+  if (date) pdfDoc.setCreationDate(date);
+
+  const header = [
+    `From: ${email.sender || ''}`,
+    `Subject: ${email.subject || ''}`,
+    date ? `Date: ${date.toISOString().slice(0, 16).replace('T', ' ')}` : '',
+  ].filter(Boolean);
+  const body = email.html ? htmlToText(email.html) : normalizeText(email.text);
+
+  const maxWidth = PAGE_SIZE[0] - MARGIN * 2;
+  const lines = [];
+  [...header, null, ...body.split('\n')].forEach((line) => {
+    if (line === null) {
+      lines.push(null); // rule under the header
+      return;
+    }
+    lines.push(...wrapLine(drawable(line), font, maxWidth));
+  });
+
+  let page = null;
+  let y = 0;
+  for (const line of lines) {
+    if (!page || y < MARGIN) {
+      if (pdfDoc.getPageCount() >= MAX_PAGES) break;
+      page = pdfDoc.addPage(PAGE_SIZE);
+      y = PAGE_SIZE[1] - MARGIN - FONT_SIZE;
+    }
+    if (line === null) {
+      page.drawLine({
+        start: { x: MARGIN, y: y + 4 },
+        end: { x: PAGE_SIZE[0] - MARGIN, y: y + 4 },
+        thickness: 0.5,
+        color: rgb(0.6, 0.6, 0.6),
+      });
+    } else if (line) {
+      // Hebrew lines are right aligned
+      const text = visualOrder(line);
+      const x = HEBREW.test(line) ? PAGE_SIZE[0] - MARGIN - font.widthOfTextAtSize(text, FONT_SIZE) : MARGIN;
+      page.drawText(text, { x, y, size: FONT_SIZE, font });
+    }
+    y -= LINE_HEIGHT;
+  }
+
+  await fs.writeFile(outputPath, await pdfDoc.save());
+  return outputPath;
+}
+
+module.exports = {
+  htmlToText,
+  createEmailPdf,
+};
@@ -0,0 +1,249 @@
+const path = require('path');
+const fs = require('fs-extra');
+const axios = require('axios');
+const { format, parse, subDays } = require('date-fns');
+
+// Bank of Israel SDMX feed of representative ("shaar yatzig") rates.
+const BOI_EXR_URL =
+  'https://edge.boi.gov.il/FusionEdgeServer/sdmx/v2/data/dataflow/BOI.STATISTICS/EXR/1.0';
+
+// The currencies the Bank of Israel publishes representative rates for. Any
+// other currency has no rate and its receipts keep their original amounts.
+const BOI_CURRENCIES = [
+  'USD', 'EUR', 'GBP', 'JPY', 'CHF', 'AUD', 'CAD', 'DKK', 'NOK', 'SEK', 'ZAR', 'JOD', 'LBP', 'EGP',
+];
+
+// The Bank of Israel quotes a few currencies per 10 or 100 units.
+const BOI_QUOTE_UNITS = {
+  JPY: 100,
+  LBP: 10,
+};
+
+// How far back to look for a published rate (weekends, holidays, long festivals).
+const LOOKBACK_DAYS = 10;
+
+function toDateKey(date) {
+  return format(date, 'yyyy-MM-dd');
+}
+
+function parseDateKey(dateKey) {
+  return parse(dateKey, 'yyyy-MM-dd', new Date());
+}
+
+function parseCsvLine(line) {
+  const cells = [];
+  let current = '';
+  let inQuotes = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') {
+      if (inQuotes && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else {
+        inQuotes = !inQuotes;
+      }
+    } else if (char === ',' && !inQuotes) {
+      cells.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  cells.push(current);
+  return cells;
+}
+
+function createBankOfIsraelProvider(options = {}) {
+  const baseUrl = options.baseUrl || BOI_EXR_URL;
+
+  async function fetchRates(currency, startDate, endDate) {
+    const response = await axios.get(`${baseUrl}/RER_${currency}_ILS`, {
+      params: {
+        startperiod: startDate,
+        endperiod: endDate,
+        format: 'csv',
+      },
+      responseType: 'text',
+      timeout: 15000,
+    });
+
+    const lines = String(response.data).trim().split(/\r?\n/);
+    if (lines.length < 2) {
+      return [];
+    }
+
+    const header = parseCsvLine(lines[0]).map((h) => h.trim().toUpperCase());
+    const dateIndex = header.indexOf('TIME_PERIOD');
+    const valueIndex = header.indexOf('OBS_VALUE');
+    if (dateIndex === -1 || valueIndex === -1) {
+      throw new Error('Unexpected Bank of Israel response format');
+    }
+
+    const units = BOI_QUOTE_UNITS[currency] || 1;
+    const rates = [];
+    for (const line of lines.slice(1)) {
+      const cells = parseCsvLine(line);
+      const rate = parseFloat(cells[valueIndex]);
+      if (cells[dateIndex] && !isNaN(rate)) {
+        rates.push({ date: cells[dateIndex].trim(), rate: rate / units });
+      }
+    }
+    return rates;
+  }
+
+  async function listCurrencies() {
+    return BOI_CURRENCIES;
+  }
+
+  return { name: 'boi', fetchRates, listCurrencies };
+}
+
+// Fixture file format: { "USD": { "2024-01-02": 3.62, ... }, "EUR": { ... } }
+function createFixtureProvider(fixturePath) {
+  let fixture = null;
+
+  async function loadFixture() {
+    if (!fixture) {
+      fixture = await fs.readJson(fixturePath);
+    }
+    return fixture;
+  }
+
+  async function fetchRates(currency, startDate, endDate) {
+    const series = (await loadFixture())[currency] || {};
+    return Object.keys(series)
+      .filter((date) => date >= startDate && date <= endDate)
+      .map((date) => ({ date, rate: parseFloat(series[date]) }));
+  }
+
+  async function listCurrencies() {
+    return Object.keys(await loadFixture());
+  }
+
+  return { name: 'fixture', fetchRates, listCurrencies };
+}
+
+function createProviderFromEnv(env = process.env) {
+  const providerName = (env.EXCHANGE_RATE_PROVIDER || 'boi').toLowerCase();
+  if (providerName === 'fixture') {
+    if (!env.EXCHANGE_RATE_FIXTURE_FILE) {
+      throw new Error('EXCHANGE_RATE_FIXTURE_FILE is not set.');
+    }
+    return createFixtureProvider(path.resolve(env.EXCHANGE_RATE_FIXTURE_FILE));
+  }
+  if (providerName === 'boi') {
+    return createBankOfIsraelProvider({ baseUrl: env.BOI_EXCHANGE_RATE_URL });
+  }
+  throw new Error(`Unknown EXCHANGE_RATE_PROVIDER: ${providerName}`);
+}
+
+// Resolves the rate in effect on a given date: the rate published that day,
+// or the last one published before it. Resolved lookups for past dates never
+// change, so they are persisted in a JSON cache file shared across restarts.
+function createExchangeRateService({ provider, cacheFile }) {
+  let cache = null;
+  const pending = new Map();
+  let writeChain = Promise.resolve();
+
+  async function loadCache() {
+    if (cache) return cache;
+    try {
+      cache = await fs.readJson(cacheFile);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error reading exchange rate cache, starting empty:', error.message);
+      }
+      cache = {};
+    }
+    return cache;
+  }
+
+  function saveCache() {
+    writeChain = writeChain
+      .then(async () => {
+        const tempFile = `${cacheFile}.tmp`;
+        await fs.outputJson(tempFile, cache, { spaces: 2 });
+        await fs.move(tempFile, cacheFile, { overwrite: true });
+      })
+      .catch((error) => {
+        console.error('Error writing exchange rate cache:', error.message);
+      });
+    return writeChain;
+  }
+
+  async function resolveRate(currency, dateKey) {
+    const endDate = parseDateKey(dateKey);
+    const startKey = toDateKey(subDays(endDate, LOOKBACK_DAYS));
+    const rates = await provider.fetchRates(currency, startKey, dateKey);
+
+    let best = null;
+    for (const { date, rate } of rates) {
+      if (date <= dateKey && rate > 0 && (!best || date > best.rateDate)) {
+        best = { rate, rateDate: date };
+      }
+    }
+
+    if (!best) {
+      throw new Error(
+        `No ${currency}/ILS rate found from ${provider.name} between ${startKey} and ${dateKey}`
+      );
+    }
+    return best;
+  }
+
+  // Providers without a currency list are asked about every currency
+  async function supportsCurrency(currency) {
+    if (currency === 'ILS' || !provider.listCurrencies) return true;
+    return (await provider.listCurrencies()).includes(currency);
+  }
+
+  // Rejects when the provider has no rate for the currency or date
+  async function getRate(currency, date) {
+    const dateKey = typeof date === 'string' ? date : toDateKey(date);
+    if (currency === 'ILS') {
+      return { rate: 1, rateDate: dateKey };
+    }
+    if (!(await supportsCurrency(currency))) {
+      throw new Error(`${provider.name} publishes no ${currency}/ILS rate`);
+    }
+
+    const store = await loadCache();
+    const cached = store[currency] && store[currency][dateKey];
+    if (cached) {
+      return cached;
+    }
+
+    const pendingKey = `${currency}:${dateKey}`;
+    if (pending.has(pendingKey)) {
+      return pending.get(pendingKey);
+    }
+
+    const lookup = resolveRate(currency, dateKey)
+      .then(async (result) => {
+        // Today's rate may not be published yet; only cache settled dates.
+        if (dateKey < toDateKey(new Date())) {
+          store[currency] = store[currency] || {};
+          store[currency][dateKey] = result;
+          await saveCache();
+        }
+        return result;
+      })
+      .finally(() => {
+        pending.delete(pendingKey);
+      });
+
+    pending.set(pendingKey, lookup);
+    return lookup;
+  }
+
+  return { getRate, supportsCurrency };
+}
+
+module.exports = {
+  BOI_CURRENCIES,
+  createBankOfIsraelProvider,
+  createFixtureProvider,
+  createProviderFromEnv,
+  createExchangeRateService,
+};
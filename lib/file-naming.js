@@ -0,0 +1,128 @@
+const path = require('path');
+const fs = require('fs-extra');
+const sanitize = require('sanitize-filename');
+const { UNCATEGORIZED } = require('./categories');
+
+// Names the files inside the output ZIP from their extracted data, e.g.
+// "{date}_{business}_{total}" -> "2025-03-04_פז_118.00.pdf". The file keeps
+// its own extension whatever the template ends with. Files without extracted
+// data (failed or locked) keep their original name.
+
+const DEFAULT_NAME_TEMPLATE = '{date}_{business}_{total}';
+const FOLDER_GROUPINGS = ['none', 'month', 'category'];
+const NO_DATE_FOLDER = 'ללא תאריך';
+const MAX_PART_LENGTH = 40;
+const MAX_NAME_LENGTH = 120;
+
+const PLACEHOLDERS = {
+  date: (expense) => expense.Date,
+  business: (expense) => expense.BusinessName,
+  total: (expense) => {
+    const total = parseFloat(expense.TotalPrice);
+    return isNaN(total) ? '' : total.toFixed(2);
+  },
+  invoice: (expense) => expense.InvoiceNumber,
+  category: (expense) => expense.Category,
+  businessNumber: (expense) => expense.BusinessNumber,
+  original: (expense, originalName) => path.basename(originalName, path.extname(originalName)),
+};
+
+// Direction marks and other invisible characters show up in copied Hebrew
+// names and break sorting and matching on disk.
+const INVISIBLE = /[\u200b-\u200f\u202a-\u202e\u2066-\u2069\ufeff]/g;
+
+function cleanPart(value, maxLength = MAX_PART_LENGTH) {
+  const text = sanitize(String(value === undefined || value === null ? '' : value).replace(INVISIBLE, ''))
+    .replace(/\s+/g, '_')
+    .trim();
+  return [...text].slice(0, maxLength).join('');
+}
+
+function normalizeTemplate(template) {
+  // A trailing extension such as ".pdf" or ".{ext}" is replaced by the file's own
+  return String(template || '').trim().replace(/\.(\{ext\}|[A-Za-z0-9]{2,4})$/, '');
+}
+
+function renderName(template, expense, originalName) {
+  const rendered = template.replace(/\{(\w+)\}/g, (match, key) => {
+    const placeholder = PLACEHOLDERS[key];
+    return placeholder ? cleanPart(placeholder(expense, originalName)) : '';
+  });
+  // Separators left around empty placeholders
+  const name = cleanPart(rendered, MAX_NAME_LENGTH)
+    .replace(/([_\-. ])\1+/g, '$1')
+    .replace(/^[_\-. ]+|[_\-. ]+$/g, '');
+  return name || null;
+}
+
+function folderFor(groupBy, expense) {
+  if (groupBy === 'month') {
+    return /^\d{4}-\d{2}/.test(expense.Date || '') ? expense.Date.slice(0, 7) : NO_DATE_FOLDER;
+  }
+  if (groupBy === 'category') {
+    return cleanPart(expense.Category || UNCATEGORIZED) || UNCATEGORIZED;
+  }
+  return '';
+}
+
+// Adds " (2)", " (3)"... before the extension until the name is free. Names are
+// compared case-insensitively since the ZIP may be opened on Windows or macOS.
+function uniqueName(name, taken) {
+  const ext = path.posix.extname(name);
+  const base = name.slice(0, name.length - ext.length);
+  let candidate = name;
+  for (let n = 2; taken.has(candidate.toLowerCase()); n++) {
+    candidate = `${base} (${n})${ext}`;
+  }
+  taken.add(candidate.toLowerCase());
+  return candidate;
+}
+
+// A name for fileName in folder that no file there has yet, so two
+// attachments called "invoice.pdf" both survive. taken holds the names of
+// saves still in progress and gets the new name; share it between them.
+function uniqueFileName(folder, fileName, taken = new Set()) {
+  if (fs.existsSync(folder)) {
+    fs.readdirSync(folder).forEach((existing) => taken.add(existing.toLowerCase()));
+  }
+  return uniqueName(sanitize(fileName) || 'unnamed_attachment', taken);
+}
+
+// Returns a Map of file path -> name inside the archive ("folder/name.ext" when
+// grouping). expenses are matched to files by FileName.
+// options: { template, groupBy: 'none' | 'month' | 'category' }
+function planArchiveNames(files, expenses, options = {}) {
+  const template = normalizeTemplate(options.template);
+  const groupBy = FOLDER_GROUPINGS.includes(options.groupBy) ? options.groupBy : 'none';
+  const expenseByName = new Map();
+  expenses.forEach((expense) => {
+    if (expense && expense.FileName && !expenseByName.has(expense.FileName)) {
+      expenseByName.set(expense.FileName, expense);
+    }
+  });
+
+  const taken = new Set();
+  const names = new Map();
+  files.forEach((filePath) => {
+    const originalName = path.basename(filePath);
+    const expense = expenseByName.get(originalName);
+    let name = originalName;
+    let folder = '';
+    if (expense) {
+      const rendered = template ? renderName(template, expense, originalName) : null;
+      if (rendered) {
+        name = `${rendered}${path.extname(originalName).toLowerCase()}`;
+      }
+      folder = folderFor(groupBy, expense);
+    }
+    names.set(filePath, uniqueName(folder ? `${folder}/${name}` : name, taken));
+  });
+  return names;
+}
+
+module.exports = {
+  DEFAULT_NAME_TEMPLATE,
+  FOLDER_GROUPINGS,
+  planArchiveNames,
+  uniqueFileName,
+};
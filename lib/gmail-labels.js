@@ -0,0 +1,83 @@
+const { format } = require('date-fns');
+
+// Labels the Gmail messages a run turned into expenses, and those whose
+// receipt could not be read, so the mailbox shows what was already claimed.
+// Label names are templates: {month} is yyyy-MM, {year} yyyy and {date}
+// yyyy-MM-dd of the run, e.g. "Receipts/Processed {month}". Missing labels are
+// created; a "/" nests them under their parent in Gmail.
+//
+// Needs the gmail.modify scope. The Gmail client is passed in, so a mocked
+// one with users.labels.list/create and users.messages.batchModify will do.
+
+const GMAIL_MODIFY_SCOPE = 'https://www.googleapis.com/auth/gmail.modify';
+
+// batchModify takes at most this many message IDs
+const BATCH_SIZE = 1000;
+
+function resolveLabelName(template, now = new Date()) {
+  return String(template || '')
+    .replace(/\{month\}/g, format(now, 'yyyy-MM'))
+    .replace(/\{year\}/g, format(now, 'yyyy'))
+    .replace(/\{date\}/g, format(now, 'yyyy-MM-dd'))
+    .trim();
+}
+
+// Resolves to the label's ID, creating the label when the mailbox has none
+// by that name. existing is the labels.list result, shared between calls.
+async function ensureLabel(gmail, name, existing) {
+  const found = existing.find((label) => label.name.toLowerCase() === name.toLowerCase());
+  if (found) return found.id;
+  const res = await gmail.users.labels.create({
+    userId: 'me',
+    requestBody: { name, labelListVisibility: 'labelShow', messageListVisibility: 'show' },
+  });
+  existing.push(res.data);
+  console.log('Created Gmail label:', name);
+  return res.data.id;
+}
+
+async function modifyMessages(gmail, ids, addLabelIds, removeLabelIds = []) {
+  for (let start = 0; start < ids.length; start += BATCH_SIZE) {
+    await gmail.users.messages.batchModify({
+      userId: 'me',
+      requestBody: { ids: ids.slice(start, start + BATCH_SIZE), addLabelIds, removeLabelIds },
+    });
+  }
+}
+
+// outcome: { processed: [messageId], failed: [messageId] }
+// options: { processedLabel, failedLabel, archive, now }; archive takes
+// processed messages out of the inbox. Errors are logged, not thrown, since
+// the receipts themselves are already done. Resolves to the number of
+// messages labeled.
+async function labelMessages(gmail, outcome, options = {}) {
+  const now = options.now || new Date();
+  const targets = [
+    { ids: outcome.processed || [], template: options.processedLabel, archive: Boolean(options.archive) },
+    { ids: outcome.failed || [], template: options.failedLabel, archive: false },
+  ];
+
+  let labeled = 0;
+  try {
+    const res = await gmail.users.labels.list({ userId: 'me' });
+    const existing = res.data.labels || [];
+    for (const { ids, template, archive } of targets) {
+      const name = resolveLabelName(template, now);
+      const uniqueIds = [...new Set(ids)];
+      if (!name || uniqueIds.length === 0) continue;
+      const labelId = await ensureLabel(gmail, name, existing);
+      await modifyMessages(gmail, uniqueIds, [labelId], archive ? ['INBOX'] : []);
+      console.log(`Labeled ${uniqueIds.length} Gmail message(s) "${name}"${archive ? ' and archived them' : ''}`);
+      labeled += uniqueIds.length;
+    }
+  } catch (error) {
+    console.error('Error labeling Gmail messages:', error.message);
+  }
+  return labeled;
+}
+
+module.exports = {
+  GMAIL_MODIFY_SCOPE,
+  resolveLabelName,
+  labelMessages,
+};
@@ -0,0 +1,204 @@
+const path = require('path');
+const fs = require('fs-extra');
+const sanitize = require('sanitize-filename');
+
+// Decides which Gmail attachments are downloaded as receipts. Each Gmail
+// account keeps its own rules, edited from /gmail-rules.html:
+//
+//   includeSenders           every PDF or image from these senders is taken
+//   excludeSenders           messages from these senders are skipped...
+//   excludeSenderExceptions  ...unless the subject has one of these words
+//   subjectKeywords          a subject with one of these marks a receipt email
+//   filenameKeywords         an attachment named with one of these is a receipt
+//   labels                   only search messages with one of these labels
+//   extraQuery               appended to the Gmail search as is
+//
+// Senders match a substring of the sender's name or address; keywords match
+// case-insensitively. Every decision names the rule behind it for the log.
+
+const DEFAULT_GMAIL_RULES = {
+  includeSenders: [],
+  excludeSenders: ['חברת חשמל לישראל', 'עיריית תל אביב-יפו', 'ארנונה - עיריית תל-אביב-יפו'],
+  excludeSenderExceptions: ['קבלה', 'חשבונית', 'חשבונית מס', 'קבלת', 'הקבלה'],
+  subjectKeywords: [
+    'קבלה',
+    'חשבונית',
+    'חשבונית מס',
+    'הקבלה',
+    'החשבונית',
+    'קבלת',
+    'החשבונית החודשית',
+    'אישור תשלום',
+    'receipt',
+    'invoice',
+    'חשבון חודשי',
+  ],
+  filenameKeywords: ['receipt', 'חשבונית'],
+  labels: [],
+  extraQuery: '',
+};
+
+const LIST_FIELDS = [
+  'includeSenders',
+  'excludeSenders',
+  'excludeSenderExceptions',
+  'subjectKeywords',
+  'filenameKeywords',
+  'labels',
+];
+
+// One file per account under rulesFolder; null without an account
+function gmailRulesFile(rulesFolder, account) {
+  const name = sanitize(String(account || '').trim().toLowerCase());
+  return name ? path.join(rulesFolder, `${name}.json`) : null;
+}
+
+// Fields missing from a saved file fall back to the defaults
+function loadGmailRules(rulesFile) {
+  if (!rulesFile || !fs.existsSync(rulesFile)) {
+    return DEFAULT_GMAIL_RULES;
+  }
+  try {
+    const rules = fs.readJsonSync(rulesFile);
+    return rules && typeof rules === 'object' && !Array.isArray(rules)
+      ? { ...DEFAULT_GMAIL_RULES, ...rules }
+      : DEFAULT_GMAIL_RULES;
+  } catch (error) {
+    console.error('Error reading Gmail rules:', error.message);
+    return DEFAULT_GMAIL_RULES;
+  }
+}
+
+// Throws with a message fit for the settings page when the rules are malformed
+function validateGmailRules(rules) {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    throw new Error('Rules must be a JSON object.');
+  }
+  LIST_FIELDS.forEach((field) => {
+    if (rules[field] === undefined) return;
+    if (!Array.isArray(rules[field]) || rules[field].some((value) => typeof value !== 'string')) {
+      throw new Error(`${field} must be a list of strings.`);
+    }
+  });
+  if (rules.extraQuery !== undefined && typeof rules.extraQuery !== 'string') {
+    throw new Error('extraQuery must be a string.');
+  }
+  return rules;
+}
+
+function saveGmailRules(rulesFile, rules) {
+  validateGmailRules(rules);
+  fs.ensureDirSync(path.dirname(rulesFile));
+  const tempFile = `${rulesFile}.tmp`;
+  fs.writeJsonSync(tempFile, rules, { spaces: 2 });
+  fs.moveSync(tempFile, rulesFile, { overwrite: true });
+}
+
+// Gmail search terms use hyphens for spaces in label names
+function labelTerm(label) {
+  return `label:${label.trim().replace(/\s+/g, '-')}`;
+}
+
+// dates are 'yyyy/MM/dd'; before is exclusive. withoutAttachments also finds
+// messages whose receipt is the body itself.
+function buildGmailQuery(rules, after, before, { withoutAttachments = false } = {}) {
+  const terms = [`after:${after}`, `before:${before}`];
+  if (!withoutAttachments) terms.push('has:attachment');
+  const labels = (rules.labels || []).filter((label) => label && label.trim());
+  if (labels.length === 1) {
+    terms.push(labelTerm(labels[0]));
+  } else if (labels.length > 1) {
+    terms.push(`{${labels.map(labelTerm).join(' ')}}`);
+  }
+  if (rules.extraQuery && rules.extraQuery.trim()) {
+    terms.push(rules.extraQuery.trim());
+  }
+  return terms.join(' ');
+}
+
+function findTerm(text, terms) {
+  const lowerText = String(text || '').toLowerCase();
+  return (terms || []).find((term) => term && lowerText.includes(term.toLowerCase()));
+}
+
+// 'Name <address>' -> { name, email }
+function parseSender(sender) {
+  const emailMatch = String(sender || '').match(/<(.+?)>/);
+  return {
+    name: String(sender || '').split('<')[0].trim(),
+    email: emailMatch ? emailMatch[1] : String(sender || ''),
+  };
+}
+
+function findSender(sender, senders) {
+  const { name, email } = parseSender(sender);
+  return (senders || []).find((term) => term && (findTerm(name, [term]) || findTerm(email, [term])));
+}
+
+// message: { sender, subject, fileNames } with the names of all its
+// attachments. Returns { accepted, rule } for the message as a whole; an
+// accepted message still has each attachment checked by evaluateAttachment.
+function evaluateMessage(message, rules = DEFAULT_GMAIL_RULES) {
+  const includedSender = findSender(message.sender, rules.includeSenders);
+  if (includedSender) {
+    return { accepted: true, rule: `includeSenders "${includedSender}"`, includedSender };
+  }
+  const excludedSender = findSender(message.sender, rules.excludeSenders);
+  const exception = excludedSender && findTerm(message.subject, rules.excludeSenderExceptions);
+  if (excludedSender && !exception) {
+    return { accepted: false, rule: `excludeSenders "${excludedSender}"` };
+  }
+  return {
+    accepted: true,
+    rule: exception ? `excludeSenderExceptions "${exception}"` : null,
+    subjectKeyword: findTerm(message.subject, rules.subjectKeywords),
+    // When any attachment is named like a receipt, the others are not taken
+    // just because the subject matched
+    hasReceiptFileName: (message.fileNames || []).some((fileName) =>
+      findTerm(fileName, rules.filenameKeywords)
+    ),
+  };
+}
+
+// Returns { accepted, rule } for one attachment of an accepted message
+function evaluateAttachment(messageDecision, fileName, rules = DEFAULT_GMAIL_RULES) {
+  if (messageDecision.includedSender) {
+    return { accepted: true, rule: messageDecision.rule };
+  }
+  const filenameKeyword = findTerm(fileName, rules.filenameKeywords);
+  if (filenameKeyword) {
+    return { accepted: true, rule: `filenameKeywords "${filenameKeyword}"` };
+  }
+  if (messageDecision.subjectKeyword && !messageDecision.hasReceiptFileName) {
+    return { accepted: true, rule: `subjectKeywords "${messageDecision.subjectKeyword}"` };
+  }
+  if (messageDecision.subjectKeyword) {
+    return { accepted: false, rule: 'filenameKeywords (another attachment is the receipt)' };
+  }
+  return { accepted: false, rule: 'no subjectKeywords or filenameKeywords match' };
+}
+
+// Returns { accepted, rule } for turning the body of an accepted message that
+// gave no attachment into a receipt. Only the subject and sender can vouch for it.
+function evaluateEmailBody(messageDecision) {
+  if (messageDecision.includedSender) {
+    return { accepted: true, rule: messageDecision.rule };
+  }
+  if (messageDecision.subjectKeyword) {
+    return { accepted: true, rule: `subjectKeywords "${messageDecision.subjectKeyword}"` };
+  }
+  return { accepted: false, rule: 'no subjectKeywords match' };
+}
+
+module.exports = {
+  DEFAULT_GMAIL_RULES,
+  gmailRulesFile,
+  loadGmailRules,
+  validateGmailRules,
+  saveGmailRules,
+  buildGmailQuery,
+  parseSender,
+  evaluateMessage,
+  evaluateAttachment,
+  evaluateEmailBody,
+};
@@ -0,0 +1,92 @@
+const path = require('path');
+const fs = require('fs-extra');
+const sanitize = require('sanitize-filename');
+
+// Remembers, per Gmail account, which messages already gave expenses so a
+// "new since last run" pass can skip them, and a full pass can mark them in
+// the Excel. Items are keyed by part ID rather than attachment ID, since Gmail
+// hands out a new attachment ID on every fetch. An email body is item 'body'.
+//
+// { historyId, range: { startDate, endDate }, lastRunAt,
+//   messages: { [messageId]: { [itemId]: processedAt } } }
+//
+// range is the date range (yyyy-MM-dd) searched by the run that saved
+// historyId: with no messages added since, nothing in it can be new.
+
+const BODY_ITEM = 'body';
+
+function gmailSyncFile(syncFolder, account) {
+  const name = sanitize(String(account || '').trim().toLowerCase());
+  return name ? path.join(syncFolder, `${name}.json`) : null;
+}
+
+function emptyState() {
+  return { historyId: null, range: null, lastRunAt: null, messages: {} };
+}
+
+function loadSyncState(syncFile) {
+  if (!syncFile || !fs.existsSync(syncFile)) {
+    return emptyState();
+  }
+  try {
+    const state = fs.readJsonSync(syncFile);
+    return { ...emptyState(), ...state, messages: state.messages || {} };
+  } catch (error) {
+    console.error('Error reading Gmail sync state:', error.message);
+    return emptyState();
+  }
+}
+
+function saveSyncState(syncFile, state) {
+  fs.ensureDirSync(path.dirname(syncFile));
+  const tempFile = `${syncFile}.tmp`;
+  fs.writeJsonSync(tempFile, state, { spaces: 2 });
+  fs.moveSync(tempFile, syncFile, { overwrite: true });
+}
+
+function isMessageSeen(state, messageId) {
+  return Boolean(state.messages[messageId]);
+}
+
+// Whether the run that saved historyId searched all of startDate..endDate
+function isRangeCovered(state, startDate, endDate) {
+  const { range } = state;
+  return Boolean(range && range.startDate <= startDate && endDate <= range.endDate);
+}
+
+// When the item was first turned into an expense, or null
+function previousRunOf(state, messageId, itemId) {
+  const items = state.messages[messageId];
+  return (items && items[itemId]) || null;
+}
+
+// items: [{ messageId, itemId }] that gave expenses in this run. Earlier
+// processing times are kept. historyId is the mailbox's history ID from before
+// the run, so messages that arrived during it count as new next time, and
+// range the { startDate, endDate } the run searched.
+function recordProcessed(state, items, { historyId, range = null, now = new Date() } = {}) {
+  const processedAt = now.toISOString();
+  items.forEach(({ messageId, itemId }) => {
+    const messageItems = state.messages[messageId] || (state.messages[messageId] = {});
+    if (!messageItems[itemId]) {
+      messageItems[itemId] = processedAt;
+    }
+  });
+  if (historyId) {
+    state.historyId = String(historyId);
+    state.range = range;
+  }
+  state.lastRunAt = processedAt;
+  return state;
+}
+
+module.exports = {
+  BODY_ITEM,
+  gmailSyncFile,
+  loadSyncState,
+  saveSyncState,
+  isMessageSeen,
+  isRangeCovered,
+  previousRunOf,
+  recordProcessed,
+};
@@ -0,0 +1,54 @@
+const { isTiff, readTiffSize } = require('./tiff');
+
+// Pixel dimensions from the headers of the image types the pipeline accepts.
+// Returns { width, height }, or null when the format is unknown or truncated.
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+function readPngSize(buffer) {
+  // The IHDR chunk always comes first
+  if (buffer.length < 24 || buffer.toString('latin1', 12, 16) !== 'IHDR') return null;
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+function isStartOfFrame(marker) {
+  // SOF0-SOF15 except DHT (C4), JPG (C8) and DAC (CC)
+  return marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc;
+}
+
+function readJpegSize(buffer) {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    if (isStartOfFrame(marker)) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+    // Standalone markers carry no length
+    if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      offset += 2;
+      continue;
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+function readImageSize(buffer) {
+  try {
+    if (buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return readPngSize(buffer);
+    if (buffer[0] === 0xff && buffer[1] === 0xd8) return readJpegSize(buffer);
+    if (isTiff(buffer)) return readTiffSize(buffer);
+  } catch (error) {
+    console.error('Error reading image size:', error.message);
+  }
+  return null;
+}
+
+module.exports = {
+  readImageSize,
+};
@@ -0,0 +1,105 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { v4: uuidv4 } = require('uuid');
+
+// Durable job journal: one JSON file per job, rewritten atomically on every
+// change so a crash never leaves a half-written record behind. Frequent
+// changes such as progress go through updateInMemory and reach the file with
+// the next update.
+//
+// Job record:
+//   id, type ('upload' | 'gmail'), sessionId, state, inputs, artifacts,
+//   userFolder, cleanupPaths, createdAt, updatedAt, startedAt, finishedAt,
+//   expiresAt (when cleanupPaths are deleted), error
+//
+// 'review' is a job paused after extraction until the user finalizes it;
+// 'preview' a Gmail job paused after the search until the user picks the
+// attachments to process.
+const JOB_STATES = ['queued', 'running', 'preview', 'review', 'completed', 'failed'];
+
+function createJobStore(storeFolder) {
+  fs.ensureDirSync(storeFolder);
+  const jobs = new Map();
+
+  for (const fileName of fs.readdirSync(storeFolder)) {
+    if (!fileName.endsWith('.json')) continue;
+    try {
+      const job = fs.readJsonSync(path.join(storeFolder, fileName));
+      jobs.set(job.id, job);
+    } catch (error) {
+      console.error(`Skipping unreadable job record ${fileName}:`, error.message);
+    }
+  }
+
+  function jobFile(id) {
+    return path.join(storeFolder, `${id}.json`);
+  }
+
+  function persist(job) {
+    const target = jobFile(job.id);
+    const tempFile = `${target}.tmp`;
+    fs.writeJsonSync(tempFile, job, { spaces: 2 });
+    fs.renameSync(tempFile, target);
+  }
+
+  function create(fields) {
+    const now = new Date().toISOString();
+    const job = {
+      id: uuidv4(),
+      state: 'queued',
+      inputs: {},
+      artifacts: {},
+      cleanupPaths: [],
+      createdAt: now,
+      updatedAt: now,
+      ...fields,
+    };
+    jobs.set(job.id, job);
+    persist(job);
+    return job;
+  }
+
+  function update(id, changes) {
+    const job = jobs.get(id);
+    if (!job) {
+      throw new Error(`Unknown job: ${id}`);
+    }
+    if (changes.state && !JOB_STATES.includes(changes.state)) {
+      throw new Error(`Invalid job state: ${changes.state}`);
+    }
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    persist(job);
+    return job;
+  }
+
+  function updateInMemory(id, changes) {
+    const job = jobs.get(id);
+    if (!job) {
+      throw new Error(`Unknown job: ${id}`);
+    }
+    Object.assign(job, changes);
+    return job;
+  }
+
+  function get(id) {
+    return jobs.get(id) || null;
+  }
+
+  function list(predicate = () => true) {
+    return [...jobs.values()]
+      .filter(predicate)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  function remove(id) {
+    jobs.delete(id);
+    fs.removeSync(jobFile(id));
+  }
+
+  return { create, update, updateInMemory, get, list, remove };
+}
+
+module.exports = {
+  JOB_STATES,
+  createJobStore,
+};
@@ -0,0 +1,331 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const archiver = require('archiver');
+const { isConvertedToShekels } = require('./currency');
+
+// Writes expenses in the Tax Authority's unified open format (מבנה אחיד,
+// הוראה 36/1998, spec 1.31) so bookkeeping software can import them instead
+// of re-typing the Excel. The export has two fixed-width files:
+//   INI.TXT      - A000 header record, then a record count per record type
+//   BKMVDATA.TXT - A100 opening, a C100 header and a D110 line per expense,
+//                  Z900 closing
+// Alphanumeric (X) fields are left aligned and space padded, numeric (9)
+// fields are right aligned and zero padded. Amounts are a sign followed by
+// digits with two implied decimals. Files are ISO-8859-8-i with CRLF lines.
+// Every amount is in shekels, so receipts left in a foreign currency for lack
+// of an exchange rate are not exported.
+
+const SYSTEM_CONSTANT = '&OF1.31&';
+
+// Document type from appendix 1 of the spec. Importers differ in how they book
+// supplier documents, so OPEN_FORMAT_DOCUMENT_TYPE can override it.
+const PURCHASE_DOCUMENT_TYPE = 700;
+
+// D110 transaction type: 1 service, 2 goods, 3 both
+const TRANSACTION_TYPE_MIXED = 3;
+
+// A000 flags
+const SOFTWARE_TYPE_MULTI_YEAR = 2;
+const ACCOUNTING_TYPE_NOT_RELEVANT = 0;
+const LANGUAGE_HEBREW = 0;
+const CHARSET_ISO_8859_8 = 1;
+
+// Hebrew letters א-ת are 0xE0-0xFA in ISO-8859-8; anything else outside
+// ASCII has no single-byte form and becomes '?'.
+function encodeIso88598(text) {
+  const bytes = [];
+  for (const char of text) {
+    const code = char.codePointAt(0);
+    if (code < 0x80) {
+      bytes.push(code);
+    } else if (code >= 0x05d0 && code <= 0x05ea) {
+      bytes.push(code - 0x05d0 + 0xe0);
+    } else {
+      bytes.push(0x3f);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function alpha(value, length) {
+  const text = String(value === undefined || value === null ? '' : value)
+    .replace(/[\r\n\t]+/g, ' ')
+    .trim();
+  return [...text].slice(0, length).join('').padEnd(length, ' ');
+}
+
+function numeric(value, length) {
+  const digits = String(value === undefined || value === null ? '' : value).replace(/\D+/g, '');
+  return digits.slice(-length).padStart(length, '0');
+}
+
+function parseAmount(value) {
+  const amount = parseFloat(value);
+  return isNaN(amount) ? 0 : amount;
+}
+
+// Sign, then the amount times 10^decimals, e.g. 123.4 in 15 -> "+00000000012340"
+function signedAmount(value, length, decimals = 2) {
+  const scaled = Math.round(Math.abs(parseAmount(value)) * 10 ** decimals);
+  const sign = parseAmount(value) < 0 ? '-' : '+';
+  return sign + String(scaled).slice(-(length - 1)).padStart(length - 1, '0');
+}
+
+// 'yyyy-MM-dd' -> 'yyyyMMdd', zeros when missing
+function compactDate(value) {
+  const match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+  return match ? `${match[1]}${match[2]}${match[3]}` : '00000000';
+}
+
+function pad2(number) {
+  return String(number).padStart(2, '0');
+}
+
+function randomIdentifier() {
+  // 15 digits, no leading zero
+  return String(1 + crypto.randomInt(9)) + String(crypto.randomInt(1e9)).padStart(9, '0') +
+    String(crypto.randomInt(1e5)).padStart(5, '0');
+}
+
+function isForeign(expense) {
+  return Boolean(expense.OriginalCurrency && expense.OriginalCurrency !== 'ILS');
+}
+
+function buildA100(recordNumber, context) {
+  return [
+    'A100',
+    numeric(recordNumber, 9),
+    numeric(context.vatNumber, 9),
+    numeric(context.primaryId, 15),
+    alpha(SYSTEM_CONSTANT, 8),
+    alpha('', 50),
+  ].join('');
+}
+
+function buildC100(recordNumber, expense, index, context) {
+  const date = compactDate(expense.Date);
+  const net = parseAmount(expense.PriceWithoutVat);
+  return [
+    'C100',
+    numeric(recordNumber, 9),
+    numeric(context.vatNumber, 9),
+    numeric(context.documentType, 3),
+    alpha(expense.InvoiceNumber || index + 1, 20),
+    date,
+    context.time,
+    alpha(expense.BusinessName, 50),
+    alpha('', 50), // street
+    alpha('', 10), // house number
+    alpha('', 30), // city
+    alpha('', 8), // zip code
+    alpha('', 30), // country
+    alpha('', 2), // country code
+    alpha('', 15), // phone
+    numeric(expense.BusinessNumberValid === false ? '' : expense.BusinessNumber, 9),
+    date, // value date
+    isForeign(expense) ? signedAmount(expense.OriginalTotal, 15) : alpha('', 15),
+    isForeign(expense) ? alpha(expense.OriginalCurrency, 3) : alpha('', 3),
+    signedAmount(net, 15), // before document discount
+    signedAmount(0, 15), // document discount
+    signedAmount(net, 15),
+    signedAmount(expense.VAT, 15),
+    signedAmount(expense.TotalPrice, 15),
+    signedAmount(0, 12), // withholding tax
+    alpha('', 15), // supplier key in the books
+    alpha('', 10), // matching field
+    alpha('', 1), // cancelled document
+    date,
+    alpha('', 7), // branch
+    alpha('', 9), // user
+    numeric(index + 1, 7), // link to the D110 lines
+    alpha('', 13),
+  ].join('');
+}
+
+function buildD110(recordNumber, expense, index, context) {
+  const net = parseAmount(expense.PriceWithoutVat);
+  return [
+    'D110',
+    numeric(recordNumber, 9),
+    numeric(context.vatNumber, 9),
+    numeric(context.documentType, 3),
+    alpha(expense.InvoiceNumber || index + 1, 20),
+    numeric(1, 4), // line number
+    numeric('', 3), // base document type
+    alpha('', 20), // base document number
+    numeric(TRANSACTION_TYPE_MIXED, 1),
+    alpha('', 20), // internal item code
+    alpha(expense.Category || expense.BusinessName, 30),
+    alpha('', 50), // manufacturer
+    alpha('', 30), // serial number
+    alpha('', 20), // unit of measure
+    signedAmount(1, 17, 4), // quantity
+    signedAmount(net, 15), // unit price
+    signedAmount(0, 15), // line discount
+    signedAmount(net, 15),
+    numeric(Math.round((expense.VatRate || 0) * 10000), 4),
+    alpha('', 7), // branch
+    compactDate(expense.Date),
+    numeric(index + 1, 7), // link to the C100 header
+    alpha('', 7), // base document branch
+    alpha('', 21),
+  ].join('');
+}
+
+function buildZ900(recordNumber, context) {
+  return [
+    'Z900',
+    numeric(recordNumber, 9),
+    numeric(context.vatNumber, 9),
+    numeric(context.primaryId, 15),
+    alpha(SYSTEM_CONSTANT, 8),
+    numeric(recordNumber, 15), // records in the file, this one included
+    alpha('', 50),
+  ].join('');
+}
+
+function buildA000(totalRecords, context) {
+  const { business, software, period } = context;
+  return [
+    'A000',
+    alpha('', 5),
+    numeric(totalRecords, 15),
+    numeric(context.vatNumber, 9),
+    numeric(context.primaryId, 15),
+    alpha(SYSTEM_CONSTANT, 8),
+    numeric(software.registrationNumber, 8),
+    alpha(software.name, 20),
+    alpha(software.version, 20),
+    numeric(software.vendorVatNumber, 9),
+    alpha(software.vendorName, 20),
+    numeric(SOFTWARE_TYPE_MULTI_YEAR, 1),
+    alpha(context.folder, 50),
+    numeric(ACCOUNTING_TYPE_NOT_RELEVANT, 1),
+    numeric(0, 1), // balancing required
+    numeric(business.companyNumber, 9),
+    numeric(business.withholdingFileNumber, 9),
+    alpha('', 10),
+    alpha(business.name, 50),
+    alpha(business.street, 50),
+    alpha(business.houseNumber, 10),
+    alpha(business.city, 30),
+    alpha(business.zipCode, 8),
+    alpha('', 4), // tax year, blank for multi-year software
+    period.start,
+    period.end,
+    context.processDate,
+    context.time,
+    numeric(LANGUAGE_HEBREW, 1),
+    numeric(CHARSET_ISO_8859_8, 1),
+    alpha('', 20), // compression software
+    alpha('ILS', 3),
+    numeric(0, 1), // no branches
+    alpha('', 46),
+  ].join('');
+}
+
+function expensePeriod(expenses, fallbackDate) {
+  const dates = expenses.map((expense) => compactDate(expense.Date)).filter((date) => date !== '00000000');
+  if (dates.length === 0) {
+    return { start: fallbackDate, end: fallbackDate };
+  }
+  dates.sort();
+  return { start: dates[0], end: dates[dates.length - 1] };
+}
+
+function joinLines(lines) {
+  return encodeIso88598(lines.map((line) => `${line}\r\n`).join(''));
+}
+
+// Returns { folder, ini, bkmvdata, excluded } with the two files as Buffers.
+// folder is the spec's OPENFRMT\<first 8 digits of the VAT number>.<yy>\<MMDDhhmm>
+// path, and excluded the expenses left out for not being in shekels.
+//
+// options:
+//   business  { vatNumber, name, companyNumber, withholdingFileNumber,
+//               street, houseNumber, city, zipCode } - the reporting business
+//   software  { registrationNumber, name, version, vendorVatNumber, vendorName }
+//   documentType  C100/D110 document type (default PURCHASE_DOCUMENT_TYPE)
+//   now           creation time (default new Date())
+function buildOpenFormatFiles(allExpenses, options = {}) {
+  const expenses = allExpenses.filter(isConvertedToShekels);
+  const business = options.business || {};
+  const now = options.now || new Date();
+  const vatNumber = numeric(business.vatNumber, 9);
+  const processDate = `${now.getFullYear()}${pad2(now.getMonth() + 1)}${pad2(now.getDate())}`;
+  const time = `${pad2(now.getHours())}${pad2(now.getMinutes())}`;
+
+  const context = {
+    vatNumber,
+    business,
+    software: options.software || {},
+    documentType: options.documentType || PURCHASE_DOCUMENT_TYPE,
+    primaryId: randomIdentifier(),
+    processDate,
+    time,
+    period: expensePeriod(expenses, processDate),
+    folder: [
+      'OPENFRMT',
+      `${vatNumber.slice(0, 8)}.${String(now.getFullYear()).slice(-2)}`,
+      `${processDate.slice(4)}${time}`,
+    ].join('/'),
+  };
+
+  const lines = [];
+  const counts = { A100: 0, C100: 0, D110: 0, Z900: 0 };
+  const add = (type, build) => {
+    lines.push(build(lines.length + 1));
+    counts[type]++;
+  };
+
+  add('A100', (recordNumber) => buildA100(recordNumber, context));
+  expenses.forEach((expense, index) => {
+    add('C100', (recordNumber) => buildC100(recordNumber, expense, index, context));
+    add('D110', (recordNumber) => buildD110(recordNumber, expense, index, context));
+  });
+  add('Z900', (recordNumber) => buildZ900(recordNumber, context));
+
+  const iniLines = [
+    buildA000(lines.length, context),
+    ...Object.entries(counts).map(([type, count]) => `${type}${numeric(count, 15)}`),
+  ];
+
+  return {
+    folder: context.folder,
+    ini: joinLines(iniLines),
+    bkmvdata: joinLines(lines),
+    excluded: allExpenses.filter((expense) => !isConvertedToShekels(expense)),
+  };
+}
+
+// Writes the two files into a ZIP under their spec folder and resolves to the
+// ZIP path.
+async function createOpenFormatExport(expenses, outputFolder, zipFileName, options = {}) {
+  const { folder, ini, bkmvdata, excluded } = buildOpenFormatFiles(expenses, options);
+  if (excluded.length > 0) {
+    console.log(`Open format export leaves out ${excluded.length} receipt(s) without an exchange rate`);
+  }
+  const zipFilePath = path.join(outputFolder, zipFileName);
+
+  await new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(zipFilePath);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    output.on('close', resolve);
+    archive.on('error', reject);
+    archive.pipe(output);
+    archive.append(ini, { name: `${folder}/INI.TXT` });
+    archive.append(bkmvdata, { name: `${folder}/BKMVDATA.TXT` });
+    archive.finalize();
+  });
+
+  console.log(`Open format export created at: ${zipFilePath}`);
+  return zipFilePath;
+}
+
+module.exports = {
+  PURCHASE_DOCUMENT_TYPE,
+  encodeIso88598,
+  buildOpenFormatFiles,
+  createOpenFormatExport,
+};
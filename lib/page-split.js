@@ -0,0 +1,178 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { PDFDocument } = require('pdf-lib');
+const { isTiff, readTiffPages, drawTiffPage } = require('./tiff');
+
+// A stack of receipts scanned into one PDF or multi-page TIFF is split into
+// single-page PDFs, each extracted on its own. Pages that turn out to be the
+// rest of the previous receipt are merged back afterwards (see
+// mergeReceiptPages), so a two-page invoice still becomes one row.
+
+const DEFAULT_MAX_PAGES = 30;
+
+const UNLABELLED_PAGE_NOTE =
+  'עמוד בלי שם עסק ומספר חשבונית, עם סכום שונה מהקבלה שלפניו; נשמר כקבלה נפרדת, יש לבדוק';
+
+function unitFolderFor(filePath) {
+  return path.join(
+    path.dirname(filePath),
+    `${path.basename(filePath, path.extname(filePath))}_pages`
+  );
+}
+
+async function splitPdf(bytes) {
+  const source = await PDFDocument.load(bytes, { ignoreEncryption: true });
+  const pageCount = source.getPageCount();
+  const documents = [];
+  for (let index = 0; index < pageCount; index++) {
+    const document = await PDFDocument.create();
+    const [page] = await document.copyPages(source, [index]);
+    document.addPage(page);
+    documents.push(document);
+  }
+  return documents;
+}
+
+async function splitTiff(bytes) {
+  const pages = readTiffPages(bytes);
+  if (pages.length < 2) return [];
+  return Promise.all(
+    pages.map(async (tiffPage) => {
+      const width = (tiffPage.width / tiffPage.xDpi) * 72;
+      const height = (tiffPage.height / tiffPage.yDpi) * 72;
+      const document = await PDFDocument.create();
+      const page = document.addPage([width, height]);
+      drawTiffPage(document, page, tiffPage, { x: 0, y: 0, width, height });
+      return document;
+    })
+  );
+}
+
+// Resolves to [{ filePath, pages }] where pages are 1-based page numbers of the
+// source. A single-page file, or one longer than maxPages (more likely a
+// statement than a stack of receipts), comes back whole with pages null.
+async function splitDocument(filePath, { maxPages = DEFAULT_MAX_PAGES } = {}) {
+  const whole = [{ filePath, pages: null }];
+  let documents = [];
+  try {
+    const bytes = await fs.readFile(filePath);
+    if (path.extname(filePath).toLowerCase() === '.pdf') {
+      documents = await splitPdf(bytes);
+    } else if (isTiff(bytes)) {
+      documents = await splitTiff(bytes);
+    }
+  } catch (error) {
+    console.error('Error splitting document, processing it whole:', filePath, error.message);
+    return whole;
+  }
+  if (documents.length < 2 || documents.length > maxPages) {
+    return whole;
+  }
+
+  const unitFolder = unitFolderFor(filePath);
+  await fs.ensureDir(unitFolder);
+  const units = [];
+  for (const [index, document] of documents.entries()) {
+    const unitPath = path.join(unitFolder, `page-${index + 1}.pdf`);
+    await fs.writeFile(unitPath, await document.save());
+    units.push({ filePath: unitPath, pages: [index + 1] });
+  }
+  console.log(`Split ${path.basename(filePath)} into ${units.length} pages`);
+  return units;
+}
+
+async function removeUnitFiles(filePath) {
+  await fs.remove(unitFolderFor(filePath)).catch(() => {});
+}
+
+function hasReceiptData(expense) {
+  return Boolean(expense && (expense.BusinessName || expense.TotalPrice || expense.InvoiceNumber));
+}
+
+function sameInvoice(a, b) {
+  if (!invoiceOf(a) || invoiceOf(a) !== invoiceOf(b)) return false;
+  if (a.BusinessNumber && b.BusinessNumber) return a.BusinessNumber === b.BusinessNumber;
+  return !a.BusinessName || !b.BusinessName || a.BusinessName === b.BusinessName;
+}
+
+function invoiceOf(expense) {
+  return String((expense && expense.InvoiceNumber) || '').replace(/\W+/g, '');
+}
+
+function sameAmount(a, b) {
+  return Math.abs(Number(a) - Number(b)) < 0.005;
+}
+
+// A page without a business name or invoice number, but with a total of its
+// own that differs from the receipt before it
+function isUnlabelledReceipt(previous, expense) {
+  return (
+    !expense.BusinessName &&
+    !expense.InvoiceNumber &&
+    Boolean(expense.TotalPrice) &&
+    Boolean(previous.TotalPrice) &&
+    !sameAmount(previous.TotalPrice, expense.TotalPrice)
+  );
+}
+
+// Whether the page is the rest of the receipt before it: one with the same
+// invoice, any page after a receipt still missing its total unless it names
+// another invoice, or a page without a business name or invoice number of its
+// own whose total, if any, is the same
+function continuesReceipt(previous, expense) {
+  if (!hasReceiptData(expense) || sameInvoice(previous, expense)) return true;
+  const otherInvoice = invoiceOf(previous) && invoiceOf(expense) && invoiceOf(previous) !== invoiceOf(expense);
+  if (!previous.TotalPrice) return !otherInvoice;
+  return !expense.BusinessName && !expense.InvoiceNumber && !isUnlabelledReceipt(previous, expense);
+}
+
+// results: [{ pages, expense }] in page order. A page that continues the
+// previous receipt has its pages added and its values fill the previous one's
+// blanks (totals are often only on the last page). An unlabelled page with a
+// total of its own stays a receipt of its own, with SplitNote asking for a
+// look. Returns the receipts that have data.
+function mergeReceiptPages(results) {
+  const merged = [];
+  for (const { pages, expense } of results) {
+    const previous = merged[merged.length - 1];
+    if (previous && hasReceiptData(previous.expense) && continuesReceipt(previous.expense, expense)) {
+      previous.pages.push(...pages);
+      Object.entries(expense || {}).forEach(([field, value]) => {
+        if (value !== '' && value !== null && value !== undefined && !previous.expense[field]) {
+          previous.expense[field] = value;
+        }
+      });
+    } else if (previous && !hasReceiptData(previous.expense)) {
+      // Leading pages without data (a cover sheet) join the first receipt
+      previous.pages.push(...pages);
+      previous.expense = { ...expense };
+    } else {
+      const receipt = { pages: [...pages], expense: { ...expense } };
+      if (previous && isUnlabelledReceipt(previous.expense, expense)) {
+        receipt.expense.SplitNote = UNLABELLED_PAGE_NOTE;
+      }
+      merged.push(receipt);
+    }
+  }
+  return merged.filter((receipt) => hasReceiptData(receipt.expense));
+}
+
+// [2] -> "2", [2, 3, 4] -> "2-4", [1, 3] -> "1, 3"
+function formatPages(pages) {
+  if (!Array.isArray(pages) || pages.length === 0) return '';
+  const sorted = [...pages].sort((a, b) => a - b);
+  const ranges = [];
+  for (const page of sorted) {
+    const last = ranges[ranges.length - 1];
+    if (last && page === last[1] + 1) last[1] = page;
+    else ranges.push([page, page]);
+  }
+  return ranges.map(([from, to]) => (from === to ? `${from}` : `${from}-${to}`)).join(', ');
+}
+
+module.exports = {
+  splitDocument,
+  removeUnitFiles,
+  mergeReceiptPages,
+  formatPages,
+};
@@ -0,0 +1,392 @@
+// Local implementation of the PDF Standard Security Handler (ISO 32000-2 §7.6),
+// covering revisions 2-6: RC4 40/128-bit, AES-128 (AESV2) and AES-256 (AESV3).
+// Decryption happens while pdf-lib parses the file so that encrypted object
+// streams can be unpacked; the result is written back without an /Encrypt entry.
+const crypto = require('crypto');
+const {
+  PDFArray,
+  PDFBool,
+  PDFDict,
+  PDFDocument,
+  PDFHexString,
+  PDFName,
+  PDFNumber,
+  PDFObjectStreamParser,
+  PDFParser,
+  PDFRawStream,
+  PDFRef,
+  PDFString,
+  PDFWriter,
+  PDFXRefStreamParser,
+} = require('pdf-lib');
+
+const PASSWORD_PADDING = Buffer.from(
+  '28bf4e5e4e758a4164004e56fffa01082e2e00b6d0683e802f0ca9fe6453697a',
+  'hex'
+);
+const ENDOBJ = [...'endobj'].map((char) => char.charCodeAt(0));
+const EMPTY = Buffer.alloc(0);
+
+function rc4(key, data) {
+  const s = new Uint8Array(256);
+  for (let i = 0; i < 256; i++) s[i] = i;
+  let j = 0;
+  for (let i = 0; i < 256; i++) {
+    j = (j + s[i] + key[i % key.length]) & 0xff;
+    [s[i], s[j]] = [s[j], s[i]];
+  }
+
+  const output = Buffer.alloc(data.length);
+  let i = 0;
+  j = 0;
+  for (let k = 0; k < data.length; k++) {
+    i = (i + 1) & 0xff;
+    j = (j + s[i]) & 0xff;
+    [s[i], s[j]] = [s[j], s[i]];
+    output[k] = data[k] ^ s[(s[i] + s[j]) & 0xff];
+  }
+  return output;
+}
+
+function digest(algorithm, ...parts) {
+  const hash = crypto.createHash(algorithm);
+  parts.forEach((part) => hash.update(part));
+  return hash.digest();
+}
+
+function aesDecrypt(key, data) {
+  const usable = data.length - (data.length % 16);
+  if (usable < 32) return EMPTY;
+  const algorithm = key.length === 32 ? 'aes-256-cbc' : 'aes-128-cbc';
+  const iv = data.subarray(0, 16);
+  const body = data.subarray(16, usable);
+  try {
+    const decipher = crypto.createDecipheriv(algorithm, key, iv);
+    return Buffer.concat([decipher.update(body), decipher.final()]);
+  } catch {
+    // Some producers write broken padding; keep the raw plaintext instead.
+    const decipher = crypto.createDecipheriv(algorithm, key, iv);
+    decipher.setAutoPadding(false);
+    return Buffer.concat([decipher.update(body), decipher.final()]);
+  }
+}
+
+function aes256DecryptNoIv(key, data) {
+  const decipher = crypto.createDecipheriv('aes-256-cbc', key, Buffer.alloc(16));
+  decipher.setAutoPadding(false);
+  return Buffer.concat([decipher.update(data), decipher.final()]);
+}
+
+function toBuffer(pdfObject) {
+  if (pdfObject instanceof PDFString || pdfObject instanceof PDFHexString) {
+    return Buffer.from(pdfObject.asBytes());
+  }
+  return EMPTY;
+}
+
+function lookupNumber(dict, key, defaultValue) {
+  const value = dict.lookup(PDFName.of(key));
+  return value instanceof PDFNumber ? value.asNumber() : defaultValue;
+}
+
+function cryptFilterMethod(encryptDict, filterName) {
+  if (!filterName || filterName === PDFName.of('Identity')) return 'None';
+  const filters = encryptDict.lookup(PDFName.of('CF'));
+  const filter = filters instanceof PDFDict ? filters.lookup(filterName) : undefined;
+  const method = filter instanceof PDFDict ? filter.lookup(PDFName.of('CFM')) : undefined;
+  if (method === PDFName.of('AESV2')) return 'AESV2';
+  if (method === PDFName.of('AESV3')) return 'AESV3';
+  if (method === PDFName.of('V2')) return 'V2';
+  return 'None';
+}
+
+function readEncryption(encryptDict, idArray) {
+  if (encryptDict.lookup(PDFName.of('Filter')) !== PDFName.of('Standard')) {
+    throw new Error('Unsupported PDF security handler (only the standard password handler is supported)');
+  }
+
+  const version = lookupNumber(encryptDict, 'V', 0);
+  const revision = lookupNumber(encryptDict, 'R', 0);
+  if (![1, 2, 4, 5].includes(version) || revision < 2 || revision > 6) {
+    throw new Error(`Unsupported PDF encryption V${version} R${revision}`);
+  }
+
+  const encryptMetadataValue = encryptDict.lookup(PDFName.of('EncryptMetadata'));
+  const encryption = {
+    version,
+    revision,
+    keyLength: 5,
+    owner: toBuffer(encryptDict.lookup(PDFName.of('O'))),
+    user: toBuffer(encryptDict.lookup(PDFName.of('U'))),
+    ownerEncrypted: toBuffer(encryptDict.lookup(PDFName.of('OE'))),
+    userEncrypted: toBuffer(encryptDict.lookup(PDFName.of('UE'))),
+    permissions: lookupNumber(encryptDict, 'P', 0),
+    encryptMetadata:
+      encryptMetadataValue instanceof PDFBool ? encryptMetadataValue.asBoolean() : true,
+    firstId: EMPTY,
+    streamMethod: 'V2',
+    stringMethod: 'V2',
+  };
+
+  if (version >= 4) {
+    encryption.streamMethod = cryptFilterMethod(encryptDict, encryptDict.lookup(PDFName.of('StmF')));
+    encryption.stringMethod = cryptFilterMethod(encryptDict, encryptDict.lookup(PDFName.of('StrF')));
+  }
+  if (version === 5) {
+    encryption.keyLength = 32;
+  } else if (version > 1) {
+    encryption.keyLength = lookupNumber(encryptDict, 'Length', version === 4 ? 128 : 40) / 8;
+  }
+
+  if (idArray instanceof PDFArray && idArray.size() > 0) {
+    encryption.firstId = toBuffer(idArray.lookup(0));
+  }
+
+  return encryption;
+}
+
+// Revisions 2-4 (Algorithms 2, 6 and 7)
+
+function padPassword(password) {
+  const bytes = Buffer.from(password, 'latin1').subarray(0, 32);
+  return Buffer.concat([bytes, PASSWORD_PADDING.subarray(0, 32 - bytes.length)]);
+}
+
+function xorKey(key, value) {
+  return Buffer.from(key.map((byte) => byte ^ value));
+}
+
+function computeLegacyFileKey(paddedPassword, encryption) {
+  const permissions = Buffer.alloc(4);
+  permissions.writeInt32LE(encryption.permissions);
+  const metadataFlag =
+    encryption.revision >= 4 && !encryption.encryptMetadata
+      ? Buffer.from([0xff, 0xff, 0xff, 0xff])
+      : EMPTY;
+
+  const length = encryption.keyLength;
+  let key = digest(
+    'md5',
+    paddedPassword,
+    encryption.owner.subarray(0, 32),
+    permissions,
+    encryption.firstId,
+    metadataFlag
+  );
+  if (encryption.revision >= 3) {
+    for (let i = 0; i < 50; i++) {
+      key = digest('md5', key.subarray(0, length));
+    }
+  }
+  return key.subarray(0, length);
+}
+
+function isLegacyUserKey(key, encryption) {
+  if (encryption.revision === 2) {
+    return rc4(key, PASSWORD_PADDING).equals(encryption.user.subarray(0, 32));
+  }
+  let check = rc4(key, digest('md5', PASSWORD_PADDING, encryption.firstId));
+  for (let i = 1; i <= 19; i++) {
+    check = rc4(xorKey(key, i), check);
+  }
+  return check.equals(encryption.user.subarray(0, 16));
+}
+
+function recoverLegacyUserPassword(ownerPassword, encryption) {
+  let key = digest('md5', padPassword(ownerPassword));
+  if (encryption.revision >= 3) {
+    for (let i = 0; i < 50; i++) {
+      key = digest('md5', key);
+    }
+  }
+  key = key.subarray(0, encryption.keyLength);
+
+  const owner = encryption.owner.subarray(0, 32);
+  if (encryption.revision === 2) {
+    return rc4(key, owner);
+  }
+  let userPassword = owner;
+  for (let i = 19; i >= 0; i--) {
+    userPassword = rc4(xorKey(key, i), userPassword);
+  }
+  return userPassword;
+}
+
+function authenticateLegacy(password, encryption) {
+  const userKey = computeLegacyFileKey(padPassword(password), encryption);
+  if (isLegacyUserKey(userKey, encryption)) {
+    return userKey;
+  }
+  const ownerKey = computeLegacyFileKey(recoverLegacyUserPassword(password, encryption), encryption);
+  if (isLegacyUserKey(ownerKey, encryption)) {
+    return ownerKey;
+  }
+  return null;
+}
+
+// Revisions 5-6 (Algorithms 2.A and 2.B)
+
+function hardenedHash(password, salt, userData) {
+  let key = digest('sha256', password, salt, userData);
+  let encrypted = EMPTY;
+  for (let round = 0; round < 64 || encrypted[encrypted.length - 1] > round - 32; round++) {
+    const block = Buffer.concat([password, key, userData]);
+    const repeated = Buffer.concat(new Array(64).fill(block));
+    const cipher = crypto.createCipheriv('aes-128-cbc', key.subarray(0, 16), key.subarray(16, 32));
+    cipher.setAutoPadding(false);
+    encrypted = Buffer.concat([cipher.update(repeated), cipher.final()]);
+
+    let sum = 0;
+    for (let i = 0; i < 16; i++) sum += encrypted[i];
+    key = digest(['sha256', 'sha384', 'sha512'][sum % 3], encrypted);
+  }
+  return key.subarray(0, 32);
+}
+
+function authenticateAes256(password, encryption) {
+  const passwordBytes = Buffer.from(password, 'utf8').subarray(0, 127);
+  const hash =
+    encryption.revision === 5
+      ? (pwd, salt, userData) => digest('sha256', pwd, salt, userData)
+      : hardenedHash;
+  const { owner, user } = encryption;
+  const userData = user.subarray(0, 48);
+
+  if (hash(passwordBytes, owner.subarray(32, 40), userData).equals(owner.subarray(0, 32))) {
+    const intermediate = hash(passwordBytes, owner.subarray(40, 48), userData);
+    return aes256DecryptNoIv(intermediate, encryption.ownerEncrypted.subarray(0, 32));
+  }
+  if (hash(passwordBytes, user.subarray(32, 40), EMPTY).equals(user.subarray(0, 32))) {
+    const intermediate = hash(passwordBytes, user.subarray(40, 48), EMPTY);
+    return aes256DecryptNoIv(intermediate, encryption.userEncrypted.subarray(0, 32));
+  }
+  return null;
+}
+
+// Object decryption (Algorithm 1)
+
+function objectKey(fileKey, ref, method) {
+  if (method === 'AESV3') return fileKey;
+  const suffix = Buffer.alloc(5);
+  suffix.writeUIntLE(ref.objectNumber, 0, 3);
+  suffix.writeUInt16LE(ref.generationNumber, 3);
+  const salt = method === 'AESV2' ? Buffer.from('sAlT', 'latin1') : EMPTY;
+  return digest('md5', fileKey, suffix, salt).subarray(0, Math.min(fileKey.length + 5, 16));
+}
+
+function decryptData(method, key, data) {
+  if (method === 'None') return data;
+  if (method === 'V2') return rc4(key, data);
+  return aesDecrypt(key, data);
+}
+
+function decryptStrings(object, decryptString) {
+  if (object instanceof PDFString || object instanceof PDFHexString) {
+    return PDFHexString.of(decryptString(toBuffer(object)).toString('hex'));
+  }
+  if (object instanceof PDFDict) {
+    for (const [key, value] of object.entries()) {
+      object.set(key, decryptStrings(value, decryptString));
+    }
+  } else if (object instanceof PDFArray) {
+    for (let i = 0; i < object.size(); i++) {
+      object.set(i, decryptStrings(object.get(i), decryptString));
+    }
+  }
+  return object;
+}
+
+class DecryptingParser extends PDFParser {
+  constructor(pdfBytes, encryption, fileKey, encryptRef) {
+    super(pdfBytes);
+    this.encryption = encryption;
+    this.fileKey = fileKey;
+    this.encryptRef = encryptRef;
+  }
+
+  decryptIndirectObject(ref, object) {
+    const { encryption, fileKey } = this;
+    const stringKey = objectKey(fileKey, ref, encryption.stringMethod);
+    const decryptString = (bytes) =>
+      Buffer.from(decryptData(encryption.stringMethod, stringKey, bytes));
+
+    if (object instanceof PDFRawStream) {
+      decryptStrings(object.dict, decryptString);
+      const isPlainMetadata =
+        !encryption.encryptMetadata &&
+        object.dict.lookup(PDFName.of('Type')) === PDFName.of('Metadata');
+      if (!isPlainMetadata) {
+        const streamKey = objectKey(fileKey, ref, encryption.streamMethod);
+        object.contents = new Uint8Array(
+          decryptData(encryption.streamMethod, streamKey, Buffer.from(object.contents))
+        );
+      }
+      return object;
+    }
+    return decryptStrings(object, decryptString);
+  }
+
+  async parseIndirectObject() {
+    const ref = this.parseIndirectObjectHeader();
+    this.skipWhitespaceAndComments();
+    let object = this.parseObject();
+    this.skipWhitespaceAndComments();
+    this.matchKeyword(ENDOBJ);
+
+    const type = object instanceof PDFRawStream ? object.dict.lookup(PDFName.of('Type')) : undefined;
+    if (type === PDFName.of('XRef')) {
+      // Cross-reference streams are never encrypted.
+      PDFXRefStreamParser.forStream(object).parseIntoContext();
+      return ref;
+    }
+
+    if (ref !== this.encryptRef) {
+      object = this.decryptIndirectObject(ref, object);
+    }
+
+    if (type === PDFName.of('ObjStm')) {
+      await PDFObjectStreamParser.forStream(object, this.shouldWaitForTick).parseIntoContext();
+    } else {
+      this.context.assign(ref, object);
+    }
+    return ref;
+  }
+}
+
+// Returns the decrypted PDF bytes, or null when the password is wrong.
+// Throws for files that are not encrypted with a supported handler.
+async function decryptPdf(pdfBytes, password) {
+  const probe = await PDFDocument.load(pdfBytes, {
+    ignoreEncryption: true,
+    updateMetadata: false,
+  });
+  const { trailerInfo } = probe.context;
+  const encryptDict = probe.context.lookup(trailerInfo.Encrypt);
+  if (!(encryptDict instanceof PDFDict)) {
+    throw new Error('PDF is not encrypted');
+  }
+
+  const encryption = readEncryption(encryptDict, probe.context.lookup(trailerInfo.ID));
+  const candidate = password || '';
+  const fileKey =
+    encryption.revision >= 5
+      ? authenticateAes256(candidate, encryption)
+      : authenticateLegacy(candidate, encryption);
+  if (!fileKey) {
+    return null;
+  }
+
+  const encryptRef = trailerInfo.Encrypt instanceof PDFRef ? trailerInfo.Encrypt : undefined;
+  const parser = new DecryptingParser(pdfBytes, encryption, fileKey, encryptRef);
+  const context = await parser.parseDocument();
+  if (encryptRef) {
+    context.delete(encryptRef);
+  }
+  context.trailerInfo.Encrypt = undefined;
+
+  return PDFWriter.forContext(context, Infinity).serializeToBuffer();
+}
+
+module.exports = {
+  decryptPdf,
+};
@@ -0,0 +1,146 @@
+const fs = require('fs-extra');
+
+// Builds the ordered list of passwords to try on an encrypted PDF. Israeli
+// billers derive them from the customer's details in different ways, so each
+// strategy turns the user-supplied values into zero or more candidates.
+
+function digitsOf(value) {
+  return String(value || '').replace(/\D+/g, '');
+}
+
+function phoneVariants(value) {
+  const digits = digitsOf(value);
+  if (!digits) return [];
+  if (digits.startsWith('972')) {
+    return [digits, `0${digits.slice(3)}`, digits.slice(3)];
+  }
+  if (digits.startsWith('0')) {
+    return [digits, digits.slice(1), `972${digits.slice(1)}`];
+  }
+  return [digits, `0${digits}`];
+}
+
+const PASSWORD_STRATEGIES = {
+  // Owner-password-only PDFs open with an empty user password
+  empty: () => [''],
+  idNumber: (values) => [String(values.idNumber || '').trim()],
+  idNumberPadded: (values) => {
+    const digits = digitsOf(values.idNumber);
+    return digits && digits.length <= 9 ? [digits.padStart(9, '0')] : [];
+  },
+  idNumberUnpadded: (values) => [digitsOf(values.idNumber).replace(/^0+/, '')],
+  idLast4: (values) => [digitsOf(values.idNumber).slice(-4)],
+  customerNumber: (values) => [
+    String(values.customerNumber || '').trim(),
+    digitsOf(values.customerNumber),
+  ],
+  phoneNumber: (values) => phoneVariants(values.phoneNumber),
+  phoneLast4: (values) => [digitsOf(values.phoneNumber).slice(-4)],
+  extraPasswords: (values) =>
+    String(values.extraPasswords || '')
+      .split(/[,\n]/)
+      .map((password) => password.trim()),
+  defaultPassword: (values) => [values.defaultPassword || ''],
+};
+
+const DEFAULT_STRATEGY_ORDER = [
+  'empty',
+  'idNumber',
+  'idNumberPadded',
+  'idNumberUnpadded',
+  'customerNumber',
+  'phoneNumber',
+  'extraPasswords',
+  'idLast4',
+  'phoneLast4',
+  'defaultPassword',
+];
+
+// The values exactly as the user typed them or as configured, without the
+// derived variants (padded ID, last 4 digits, phone prefixes); the only ones
+// sent to a remote unlocker
+const EXPLICIT_STRATEGIES = {
+  idNumber: PASSWORD_STRATEGIES.idNumber,
+  customerNumber: (values) => [String(values.customerNumber || '').trim()],
+  phoneNumber: (values) => [String(values.phoneNumber || '').trim()],
+  extraPasswords: PASSWORD_STRATEGIES.extraPasswords,
+  defaultPassword: PASSWORD_STRATEGIES.defaultPassword,
+};
+
+function senderEmailOf(sender) {
+  if (!sender) return '';
+  const match = String(sender).match(/<(.+?)>/);
+  return (match ? match[1] : String(sender)).trim().toLowerCase();
+}
+
+function ruleMatchesSender(rule, senderEmail) {
+  if (!senderEmail) return false;
+  if (rule.senderEmail && rule.senderEmail.toLowerCase() === senderEmail) {
+    return true;
+  }
+  if (rule.senderDomain) {
+    const domain = rule.senderDomain.toLowerCase().replace(/^@/, '');
+    const senderDomain = senderEmail.split('@')[1] || '';
+    return senderDomain === domain || senderDomain.endsWith(`.${domain}`);
+  }
+  return false;
+}
+
+// Rules file: [{ "senderDomain": "iec.co.il", "strategies": ["customerNumber"] },
+//              { "senderEmail": "bills@example.com", "passwords": ["1234"] }]
+function loadPasswordRules(rulesFile) {
+  if (!rulesFile || !fs.existsSync(rulesFile)) {
+    return [];
+  }
+  try {
+    const rules = fs.readJsonSync(rulesFile);
+    return Array.isArray(rules) ? rules : [];
+  } catch (error) {
+    console.error('Error reading PDF password rules:', error.message);
+    return [];
+  }
+}
+
+// Sender-specific candidates come first, then the generic chain. Duplicates
+// and empty strings (other than the explicit "empty" strategy) are dropped.
+// With explicitOnly, only the rules' passwords and EXPLICIT_STRATEGIES are used.
+function buildPasswordCandidates(values, options = {}) {
+  const { sender, rules = [], explicitOnly = false } = options;
+  const senderEmail = senderEmailOf(sender);
+  const candidates = [];
+  const seen = new Set();
+
+  const add = (password, allowEmpty) => {
+    if (password === undefined || password === null) return;
+    const candidate = String(password);
+    if ((!candidate && !allowEmpty) || seen.has(candidate)) return;
+    seen.add(candidate);
+    candidates.push(candidate);
+  };
+
+  const runStrategy = (name) => {
+    if (explicitOnly && !EXPLICIT_STRATEGIES[name]) return;
+    const strategy = explicitOnly ? EXPLICIT_STRATEGIES[name] : PASSWORD_STRATEGIES[name];
+    if (!strategy) {
+      console.warn(`Unknown PDF password strategy: ${name}`);
+      return;
+    }
+    strategy(values || {}).forEach((password) => add(password, name === 'empty'));
+  };
+
+  for (const rule of rules) {
+    if (!ruleMatchesSender(rule, senderEmail)) continue;
+    (rule.passwords || []).forEach((password) => add(password, false));
+    (rule.strategies || []).forEach(runStrategy);
+  }
+
+  DEFAULT_STRATEGY_ORDER.forEach(runStrategy);
+  return candidates;
+}
+
+module.exports = {
+  PASSWORD_STRATEGIES,
+  buildPasswordCandidates,
+  loadPasswordRules,
+  senderEmailOf,
+};
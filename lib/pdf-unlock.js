@@ -0,0 +1,130 @@
+const path = require('path');
+const fs = require('fs-extra');
+const axios = require('axios');
+const FormData = require('form-data');
+const { decryptPdf } = require('./pdf-decrypt');
+
+// Every unlocker exposes unlock(filePath, password) and resolves to the path of
+// an unlocked copy next to the original, or null when it could not unlock it.
+// A remote unlocker uploads the file and the password to a third party.
+
+function unlockedPathFor(filePath) {
+  return filePath.replace(
+    path.extname(filePath),
+    '_unlocked' + path.extname(filePath)
+  );
+}
+
+function createLocalUnlocker() {
+  async function unlock(filePath, password) {
+    try {
+      const pdfBuffer = await fs.promises.readFile(filePath);
+      const unlockedBytes = await decryptPdf(pdfBuffer, password);
+      if (!unlockedBytes) {
+        console.log('Local unlock: incorrect password for', filePath);
+        return null;
+      }
+      const unlockedPdfPath = unlockedPathFor(filePath);
+      await fs.promises.writeFile(unlockedPdfPath, unlockedBytes);
+      console.log('PDF unlocked locally:', unlockedPdfPath);
+      return unlockedPdfPath;
+    } catch (error) {
+      console.error('Error in local PDF unlock:', error.message);
+      return null;
+    }
+  }
+
+  return { name: 'local', remote: false, unlock };
+}
+
+function createPdfCoUnlocker(apiKey) {
+  async function unlock(filePath, password) {
+    try {
+      const formData = new FormData();
+      formData.append('file', fs.createReadStream(filePath));
+
+      const uploadResponse = await axios.post(
+        'https://api.pdf.co/v1/file/upload',
+        formData,
+        {
+          headers: {
+            'x-api-key': apiKey,
+            ...formData.getHeaders(),
+          },
+        }
+      );
+
+      if (!uploadResponse.data || !uploadResponse.data.url) {
+        console.error('Error uploading PDF:', JSON.stringify(uploadResponse.data));
+        return null;
+      }
+
+      const uploadedFileUrl = uploadResponse.data.url;
+
+      const unlockResponse = await axios.post(
+        'https://api.pdf.co/v1/pdf/security/remove',
+        {
+          url: uploadedFileUrl,
+          password: password,
+          name:
+            path.basename(filePath, path.extname(filePath)) +
+            '_unlocked' +
+            path.extname(filePath),
+        },
+        {
+          headers: {
+            'x-api-key': apiKey,
+            'Content-Type': 'application/json',
+          },
+        }
+      );
+
+      if (unlockResponse.data && unlockResponse.data.url) {
+        const unlockedPdfResponse = await axios.get(unlockResponse.data.url, {
+          responseType: 'arraybuffer',
+        });
+        const unlockedPdfPath = unlockedPathFor(filePath);
+        fs.writeFileSync(unlockedPdfPath, unlockedPdfResponse.data);
+        console.log('PDF unlocked successfully:', unlockedPdfPath);
+        return unlockedPdfPath;
+      } else {
+        console.error('Error unlocking PDF:', JSON.stringify(unlockResponse.data));
+        return null;
+      }
+    } catch (error) {
+      console.error('Error in PDF.co unlock:', error.message);
+      return null;
+    }
+  }
+
+  return { name: 'pdfco', remote: true, unlock };
+}
+
+// PDF_UNLOCK_PROVIDERS is an ordered, comma separated list (default "local,pdfco").
+// PDF.co is only used when PDFCO_API_KEY is set.
+function createUnlockersFromEnv(env = process.env) {
+  const names = (env.PDF_UNLOCK_PROVIDERS || 'local,pdfco')
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  const unlockers = [];
+  for (const name of names) {
+    if (name === 'local') {
+      unlockers.push(createLocalUnlocker());
+    } else if (name === 'pdfco') {
+      if (env.PDFCO_API_KEY) {
+        unlockers.push(createPdfCoUnlocker(env.PDFCO_API_KEY));
+      }
+    } else {
+      console.warn(`Unknown PDF unlock provider ignored: ${name}`);
+    }
+  }
+  return unlockers;
+}
+
+module.exports = {
+  createLocalUnlocker,
+  createPdfCoUnlocker,
+  createUnlockersFromEnv,
+};
@@ -0,0 +1,58 @@
+// Where each receipt file came from. The record is made when the file is
+// downloaded or uploaded, rides on the file's expenses as Provenance, and
+// fills the source, sender and subject columns of the Excel.
+//
+// { source: 'gmail' | 'upload', messageId, sender, subject, receivedAt, permalink }
+//
+// Uploads have no message, so only source and receivedAt are set.
+
+const GMAIL_SOURCE = 'gmail';
+const UPLOAD_SOURCE = 'upload';
+
+const SOURCE_LABELS = {
+  [GMAIL_SOURCE]: 'Gmail',
+  [UPLOAD_SOURCE]: 'העלאה ידנית',
+};
+
+// Opens the message in the account it came from; without an account, the
+// first signed-in one
+function gmailPermalink(messageId, account) {
+  const user = account ? encodeURIComponent(account) : '0';
+  return `https://mail.google.com/mail/u/${user}/#all/${messageId}`;
+}
+
+// message: { messageId, sender, subject, date } as listed by the Gmail search
+function gmailProvenance(message, account) {
+  return {
+    source: GMAIL_SOURCE,
+    messageId: message.messageId,
+    sender: message.sender || '',
+    subject: message.subject || '',
+    receivedAt: message.date || null,
+    permalink: gmailPermalink(message.messageId, account),
+  };
+}
+
+function uploadProvenance(receivedAt = new Date()) {
+  return {
+    source: UPLOAD_SOURCE,
+    messageId: null,
+    sender: '',
+    subject: '',
+    receivedAt: new Date(receivedAt).toISOString(),
+    permalink: null,
+  };
+}
+
+function sourceLabel(provenance) {
+  return (provenance && SOURCE_LABELS[provenance.source]) || '';
+}
+
+module.exports = {
+  GMAIL_SOURCE,
+  UPLOAD_SOURCE,
+  gmailPermalink,
+  gmailProvenance,
+  uploadProvenance,
+  sourceLabel,
+};
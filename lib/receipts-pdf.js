@@ -0,0 +1,349 @@
+const path = require('path');
+const fs = require('fs-extra');
+const fontkit = require('@pdf-lib/fontkit');
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const { isTiff, readTiffPages, drawTiffPage } = require('./tiff');
+const { isConvertedToShekels } = require('./currency');
+
+// One PDF for the employer: a cover page listing every Excel row with the
+// totals, then each receipt stamped with its Excel row number. The standard
+// PDF fonts have no Hebrew, so a TTF with Hebrew glyphs is embedded when one is
+// configured; otherwise the PDF falls back to Helvetica and English labels.
+
+const PAGE_SIZE = [595.28, 841.89]; // A4
+const MARGIN = 40;
+const ROWS_PER_COVER_PAGE = 32;
+
+const LABELS = {
+  he: {
+    title: 'ריכוז קבלות',
+    employee: 'שם העובד',
+    period: 'תקופה',
+    row: 'שורה',
+    date: 'תאריך',
+    business: 'שם העסק',
+    category: 'קטגוריה',
+    total: 'סכום כולל',
+    totals: 'סה"כ',
+    withoutVat: 'ללא מע"מ',
+    vat: 'מע"מ',
+    noFile: 'ללא קובץ',
+    unreadable: 'לא ניתן לצרף את הקובץ',
+  },
+  en: {
+    title: 'Receipts summary',
+    employee: 'Employee',
+    period: 'Period',
+    row: 'Row',
+    date: 'Date',
+    business: 'Business',
+    category: 'Category',
+    total: 'Total',
+    totals: 'Totals',
+    withoutVat: 'Without VAT',
+    vat: 'VAT',
+    noFile: 'no file',
+    unreadable: 'Could not attach this file',
+  },
+};
+
+// Cover table, right to left: [label key, width, expense field]
+const COVER_COLUMNS = [
+  ['row', 45, null],
+  ['date', 75, 'Date'],
+  ['business', 200, 'BusinessName'],
+  ['category', 110, 'Category'],
+  ['total', 85, 'TotalPrice'],
+];
+
+const HEBREW = /[\u0590-\u05ff]/;
+const LTR_RUN = /[A-Za-z0-9][A-Za-z0-9.,:/\-+%@&'_ ]*[A-Za-z0-9%]|[A-Za-z0-9]/g;
+const MIRRORED = { '(': ')', ')': '(', '[': ']', ']': '[', '<': '>', '>': '<' };
+
+// pdf-lib lays glyphs out left to right, so Hebrew is reversed into visual
+// order while Latin words and numbers inside it keep their direction.
+function visualOrder(text) {
+  if (!HEBREW.test(text)) return text;
+  const runs = [];
+  let last = 0;
+  for (const match of text.matchAll(LTR_RUN)) {
+    if (match.index > last) runs.push({ rtl: true, text: text.slice(last, match.index) });
+    runs.push({ rtl: false, text: match[0] });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) runs.push({ rtl: true, text: text.slice(last) });
+
+  return runs
+    .reverse()
+    .map((run) =>
+      run.rtl
+        ? [...run.text]
+            .reverse()
+            .map((char) => MIRRORED[char] || char)
+            .join('')
+        : run.text
+    )
+    .join('');
+}
+
+async function loadFont(pdfDoc, fontPath) {
+  if (fontPath && fs.existsSync(fontPath)) {
+    try {
+      pdfDoc.registerFontkit(fontkit);
+      const font = await pdfDoc.embedFont(await fs.readFile(fontPath), { subset: true });
+      const characters = new Set(font.getCharacterSet());
+      if (characters.has(0x05d0)) {
+        return { font, characters, labels: LABELS.he };
+      }
+      console.warn('Receipts PDF font has no Hebrew glyphs:', fontPath);
+    } catch (error) {
+      console.error('Error embedding receipts PDF font:', error.message);
+    }
+  }
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  return { font, characters: new Set(font.getCharacterSet()), labels: LABELS.en };
+}
+
+function formatAmount(value) {
+  const amount = parseFloat(value);
+  if (isNaN(amount)) return '';
+  return amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function expensePeriod(receipts) {
+  const dates = receipts
+    .map(({ expense }) => expense.Date)
+    .filter((date) => /^\d{4}-\d{2}-\d{2}/.test(date || ''))
+    .sort();
+  return dates.length ? { startDate: dates[0], endDate: dates[dates.length - 1] } : {};
+}
+
+function createWriter({ font, characters }) {
+  // Characters the font cannot draw become '?'
+  const prepare = (value) =>
+    visualOrder(
+      [...String(value === undefined || value === null ? '' : value).replace(/\s+/g, ' ')]
+        .map((char) => (characters.has(char.codePointAt(0)) ? char : '?'))
+        .join('')
+    );
+
+  const fit = (text, size, maxWidth) => {
+    let result = text;
+    while (result && font.widthOfTextAtSize(result, size) > maxWidth) {
+      result = result.slice(0, -1);
+    }
+    return result;
+  };
+
+  // Draws text with its right edge at `right`
+  function drawRight(page, value, right, y, { size = 10, maxWidth = Infinity, color } = {}) {
+    // Cut in logical order so a long Hebrew name loses its end, not its start
+    let text = prepare(value);
+    if (HEBREW.test(text)) {
+      let logical = String(value);
+      while (logical && font.widthOfTextAtSize(prepare(logical), size) > maxWidth) {
+        logical = logical.slice(0, -1);
+      }
+      text = prepare(logical);
+    } else {
+      text = fit(text, size, maxWidth);
+    }
+    const width = font.widthOfTextAtSize(text, size);
+    page.drawText(text, { x: right - width, y, size, font, color });
+  }
+
+  return { drawRight };
+}
+
+function addCoverPages(pdfDoc, fontInfo, receipts, { name, startDate, endDate }) {
+  const { labels } = fontInfo;
+  const { drawRight } = createWriter(fontInfo);
+  const right = PAGE_SIZE[0] - MARGIN;
+  // Like the Excel, the totals are in shekels only
+  const totals = { PriceWithoutVat: 0, VAT: 0, TotalPrice: 0 };
+  receipts.filter(({ expense }) => isConvertedToShekels(expense)).forEach(({ expense }) => {
+    Object.keys(totals).forEach((field) => {
+      totals[field] += parseFloat(expense[field]) || 0;
+    });
+  });
+
+  const pageCount = Math.max(1, Math.ceil(receipts.length / ROWS_PER_COVER_PAGE));
+  for (let pageIndex = 0; pageIndex < pageCount; pageIndex++) {
+    const page = pdfDoc.addPage(PAGE_SIZE);
+    let y = PAGE_SIZE[1] - MARGIN - 10;
+
+    if (pageIndex === 0) {
+      drawRight(page, labels.title, right, y, { size: 18 });
+      y -= 28;
+      if (name) {
+        drawRight(page, `${labels.employee}: ${name}`, right, y, { size: 11 });
+        y -= 18;
+      }
+      if (startDate || endDate) {
+        drawRight(page, `${labels.period}: ${startDate || ''} - ${endDate || ''}`, right, y, { size: 11 });
+        y -= 18;
+      }
+      y -= 10;
+    }
+
+    let x = right;
+    COVER_COLUMNS.forEach(([key, width]) => {
+      drawRight(page, labels[key], x, y, { size: 10, maxWidth: width - 6 });
+      x -= width;
+    });
+    y -= 6;
+    page.drawLine({
+      start: { x: MARGIN, y },
+      end: { x: right, y },
+      thickness: 0.5,
+    });
+    y -= 14;
+
+    const pageReceipts = receipts.slice(pageIndex * ROWS_PER_COVER_PAGE, (pageIndex + 1) * ROWS_PER_COVER_PAGE);
+    pageReceipts.forEach(({ rowNumber, expense, filePath }) => {
+      x = right;
+      COVER_COLUMNS.forEach(([key, width, field]) => {
+        let value = field ? expense[field] : rowNumber;
+        if (field === 'TotalPrice') {
+          value = isConvertedToShekels(expense) ? formatAmount(value) : `${formatAmount(value)} ${expense.Currency}`;
+        }
+        drawRight(page, value, x, y, { size: 9, maxWidth: width - 6 });
+        x -= width;
+      });
+      if (!filePath) {
+        drawRight(page, `(${labels.noFile})`, x, y, { size: 8, color: rgb(0.5, 0.5, 0.5) });
+      }
+      y -= 18;
+    });
+
+    if (pageIndex === pageCount - 1) {
+      y -= 4;
+      page.drawLine({
+        start: { x: MARGIN, y: y + 12 },
+        end: { x: right, y: y + 12 },
+        thickness: 0.5,
+      });
+      const summary = [
+        `${labels.withoutVat}: ${formatAmount(totals.PriceWithoutVat)}`,
+        `${labels.vat}: ${formatAmount(totals.VAT)}`,
+        `${labels.total}: ${formatAmount(totals.TotalPrice)}`,
+      ];
+      drawRight(page, `${labels.totals} - ${summary.join('   ')}`, right, y, { size: 11 });
+    }
+  }
+}
+
+// Scales (width, height) down to fit the page inside the margins, centered
+function fitToPage(width, height) {
+  const maxWidth = PAGE_SIZE[0] - MARGIN * 2;
+  const maxHeight = PAGE_SIZE[1] - MARGIN * 2;
+  const scale = Math.min(1, maxWidth / width, maxHeight / height);
+  return {
+    x: (PAGE_SIZE[0] - width * scale) / 2,
+    y: (PAGE_SIZE[1] - height * scale) / 2,
+    width: width * scale,
+    height: height * scale,
+  };
+}
+
+// Appends the pages of one receipt and returns them. pages (1-based) limits a
+// multi-page PDF or TIFF to the pages of this receipt.
+async function addReceiptPages(pdfDoc, filePath, pages) {
+  const wanted = (count) =>
+    [...Array(count).keys()].filter((index) => !pages || pages.includes(index + 1));
+  const bytes = await fs.readFile(filePath);
+  const ext = path.extname(filePath).toLowerCase();
+
+  if (ext === '.pdf') {
+    const source = await PDFDocument.load(bytes, { ignoreEncryption: true });
+    const copied = await pdfDoc.copyPages(source, wanted(source.getPageCount()));
+    copied.forEach((page) => pdfDoc.addPage(page));
+    return copied;
+  }
+
+  if (isTiff(bytes)) {
+    const tiffPages = readTiffPages(bytes);
+    return wanted(tiffPages.length).map((index) => {
+      const tiffPage = tiffPages[index];
+      const page = pdfDoc.addPage(PAGE_SIZE);
+      const box = fitToPage((tiffPage.width / tiffPage.xDpi) * 72, (tiffPage.height / tiffPage.yDpi) * 72);
+      drawTiffPage(pdfDoc, page, tiffPage, box);
+      return page;
+    });
+  }
+
+  const image = ext === '.png' ? await pdfDoc.embedPng(bytes) : await pdfDoc.embedJpg(bytes);
+  const page = pdfDoc.addPage(PAGE_SIZE);
+  page.drawImage(image, fitToPage(image.width, image.height));
+  return [page];
+}
+
+function stampRowNumber(page, fontInfo, rowNumber) {
+  const { font, labels } = fontInfo;
+  const text = visualOrder(`${labels.row} ${rowNumber}`);
+  const size = 14;
+  const { x, y, height } = page.getMediaBox();
+  const width = font.widthOfTextAtSize(text, size);
+  page.drawRectangle({
+    x: x + 10,
+    y: y + height - 10 - size - 8,
+    width: width + 12,
+    height: size + 8,
+    color: rgb(1, 1, 1),
+    borderColor: rgb(0.8, 0, 0),
+    borderWidth: 1.5,
+  });
+  page.drawText(text, {
+    x: x + 16,
+    y: y + height - 10 - size - 2,
+    size,
+    font,
+    color: rgb(0.8, 0, 0),
+  });
+}
+
+function addUnreadablePage(pdfDoc, fontInfo, filePath) {
+  const { drawRight } = createWriter(fontInfo);
+  const page = pdfDoc.addPage(PAGE_SIZE);
+  const right = PAGE_SIZE[0] - MARGIN;
+  drawRight(page, fontInfo.labels.unreadable, right, PAGE_SIZE[1] / 2, { size: 14 });
+  drawRight(page, path.basename(filePath), right, PAGE_SIZE[1] / 2 - 22, { size: 11 });
+  return [page];
+}
+
+// receipts: [{ rowNumber, expense, filePath, pages }] in Excel order; filePath
+// is null for rows without a file, pages null for the whole file. details: { name, startDate, endDate, fontPath }.
+// The period defaults to the span of the receipt dates.
+async function createReceiptsPdf(receipts, outputPath, details = {}) {
+  const pdfDoc = await PDFDocument.create();
+  const fontInfo = await loadFont(pdfDoc, details.fontPath);
+  const period = details.startDate || details.endDate ? details : expensePeriod(receipts);
+
+  addCoverPages(pdfDoc, fontInfo, receipts, {
+    name: details.name,
+    startDate: period.startDate,
+    endDate: period.endDate,
+  });
+
+  for (const { rowNumber, filePath, pages: sourcePages } of receipts) {
+    if (!filePath) continue;
+    let pages;
+    try {
+      pages = await addReceiptPages(pdfDoc, filePath, sourcePages);
+    } catch (error) {
+      console.error('Error adding receipt to PDF:', filePath, error.message);
+      pages = addUnreadablePage(pdfDoc, fontInfo, filePath);
+    }
+    pages.forEach((page) => stampRowNumber(page, fontInfo, rowNumber));
+  }
+
+  await fs.writeFile(outputPath, await pdfDoc.save());
+  console.log('Receipts PDF created at:', outputPath);
+  return outputPath;
+}
+
+module.exports = {
+  visualOrder,
+  loadFont,
+  createReceiptsPdf,
+};
@@ -0,0 +1,133 @@
+const UTIF = require('utif');
+const {
+  pushGraphicsState,
+  popGraphicsState,
+  concatTransformationMatrix,
+  drawObject,
+} = require('pdf-lib');
+
+// pdf-lib only embeds JPEG and PNG, so TIFF pages are decoded with UTIF to
+// 8-bit samples and drawn as raw image XObjects. Strips and tiles are read,
+// uncompressed or PackBits, LZW, Deflate, CCITT Group 3/4 (the usual fax and
+// scanner formats) or JPEG; any other compression throws rather than drawing
+// a blank page.
+
+const SUPPORTED_COMPRESSIONS = [1, 3, 4, 5, 6, 7, 8, 32773];
+
+const DEFAULT_DPI = 200;
+const MIN_DPI = 50;
+
+function isTiff(buffer) {
+  if (buffer.length < 8) return false;
+  const order = buffer.toString('latin1', 0, 2);
+  if (order === 'II') return buffer.readUInt16LE(2) === 42;
+  if (order === 'MM') return buffer.readUInt16BE(2) === 42;
+  return false;
+}
+
+function first(ifd, tag, fallback) {
+  const values = ifd[tag];
+  return values && values.length ? values[0] : fallback;
+}
+
+// ResolutionUnit 1 (no unit) often comes with an aspect ratio such as 1/1 as
+// the "resolution", which taken as DPI makes the page metres wide; unknown or
+// implausible values fall back to a typical scan resolution
+function resolution(ifd, tag) {
+  const value = first(ifd, tag, 0);
+  const unit = first(ifd, 't296', 2);
+  if (!value || unit === 1) return DEFAULT_DPI;
+  const dpi = unit === 3 ? value * 2.54 : value;
+  return dpi < MIN_DPI ? DEFAULT_DPI : dpi;
+}
+
+function readIfds(buffer) {
+  if (!isTiff(buffer)) {
+    throw new Error('Not a TIFF file');
+  }
+  return UTIF.decode(buffer).filter((ifd) => ifd.t256 && ifd.t257);
+}
+
+// RGBA from UTIF to RGB over a white background, or to gray when every pixel
+// is gray (scans and faxes), which keeps the PDF a third of the size
+function toImage(rgba, width, height) {
+  const area = width * height;
+  let gray = true;
+  for (let i = 0; i < area * 4 && gray; i += 4) {
+    gray = rgba[i] === rgba[i + 1] && rgba[i] === rgba[i + 2];
+  }
+  const channels = gray ? 1 : 3;
+  const data = Buffer.alloc(area * channels);
+  for (let pixel = 0; pixel < area; pixel++) {
+    const alpha = rgba[pixel * 4 + 3] / 255;
+    for (let channel = 0; channel < channels; channel++) {
+      const value = rgba[pixel * 4 + channel];
+      data[pixel * channels + channel] = Math.round(value * alpha + 255 * (1 - alpha));
+    }
+  }
+  return { width, height, colorSpace: gray ? 'DeviceGray' : 'DeviceRGB', data };
+}
+
+// Each page is { width, height, xDpi, yDpi, image } where image is
+// { width, height, colorSpace, data } with 8 bits per sample.
+function readPage(buffer, ifd) {
+  const compression = first(ifd, 't259', 1);
+  if (!SUPPORTED_COMPRESSIONS.includes(compression)) {
+    throw new Error(`Unsupported TIFF compression: ${compression}`);
+  }
+  UTIF.decodeImage(buffer, ifd);
+  if (!ifd.data || !ifd.width || !ifd.height) {
+    throw new Error('TIFF page has no image data');
+  }
+  return {
+    width: ifd.width,
+    height: ifd.height,
+    xDpi: resolution(ifd, 't282'),
+    yDpi: resolution(ifd, 't283'),
+    image: toImage(UTIF.toRGBA8(ifd), ifd.width, ifd.height),
+  };
+}
+
+// Reads every page (IFD) of a TIFF file. Throws on formats it cannot handle.
+function readTiffPages(buffer) {
+  return readIfds(buffer).map((ifd) => readPage(buffer, ifd));
+}
+
+// { width, height } of the first page without decoding it
+function readTiffSize(buffer) {
+  const [ifd] = readIfds(buffer);
+  return ifd ? { width: first(ifd, 't256', 0), height: first(ifd, 't257', 0) } : null;
+}
+
+function embedImage(pdfDoc, image) {
+  const { context } = pdfDoc;
+  return context.register(
+    context.flateStream(image.data, {
+      Type: 'XObject',
+      Subtype: 'Image',
+      Width: image.width,
+      Height: image.height,
+      BitsPerComponent: 8,
+      ColorSpace: image.colorSpace,
+    })
+  );
+}
+
+// Draws a page from readTiffPages into the box { x, y, width, height } of a
+// pdf-lib page.
+function drawTiffPage(pdfDoc, pdfPage, tiffPage, box) {
+  const name = pdfPage.node.newXObject('Image', embedImage(pdfDoc, tiffPage.image));
+  pdfPage.pushOperators(
+    pushGraphicsState(),
+    concatTransformationMatrix(box.width, 0, 0, box.height, box.x, box.y),
+    drawObject(name),
+    popGraphicsState()
+  );
+}
+
+module.exports = {
+  isTiff,
+  readTiffPages,
+  readTiffSize,
+  drawTiffPage,
+};
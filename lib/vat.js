@@ -0,0 +1,130 @@
+// Checks the net / VAT / total amounts of an extracted expense against the
+// Israeli VAT rate in force on the receipt date, fills in one missing amount
+// from the other two, and records what looks wrong for the accountant.
+
+// Newest first; a receipt uses the first rate that started on or before it
+const ISRAELI_VAT_RATES = [
+  { from: '2025-01-01', rate: 0.18 },
+  { from: '0000-01-01', rate: 0.17 },
+];
+
+// Allowed gap, in shekels, between net + VAT and the total
+const DEFAULT_TOLERANCE = 1;
+// Allowed gap between the VAT and net * rate, as a share of the net amount. Small
+// enough to tell 17% from 18%; the floor absorbs rounding to whole agorot.
+const RATE_TOLERANCE = 0.002;
+const ROUNDING_TOLERANCE = 0.05;
+
+function getVatRate(date) {
+  const day = String(date || '').slice(0, 10);
+  const entry = ISRAELI_VAT_RATES.find((vatRate) => day >= vatRate.from);
+  return entry ? entry.rate : ISRAELI_VAT_RATES[0].rate;
+}
+
+function parseAmount(value) {
+  if (value === '' || value === null || value === undefined) return null;
+  const amount = parseFloat(value);
+  return isNaN(amount) ? null : amount;
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function formatRate(rate) {
+  return `${Math.round(rate * 100)}%`;
+}
+
+// Returns a copy of the expense with the amounts completed and:
+//   VatRate    - the rate for the receipt date (0 for foreign receipts)
+//   VatFilled  - amount fields that were computed rather than extracted
+//   VatIssues  - [{ field, message }] for amounts that need a human look
+function validateVat(expense, { tolerance = DEFAULT_TOLERANCE } = {}) {
+  const result = { ...expense, VatFilled: [], VatIssues: [] };
+  let net = parseAmount(expense.PriceWithoutVat);
+  let vat = parseAmount(expense.VAT);
+  let total = parseAmount(expense.TotalPrice);
+
+  const flag = (field, message) => result.VatIssues.push({ field, message });
+  const fill = (field, value) => {
+    result[field] = round2(value);
+    result.VatFilled.push(field);
+  };
+
+  // Tax paid abroad is not Israeli input VAT, so the whole amount is the expense
+  if (expense.OriginalCurrency && expense.OriginalCurrency !== 'ILS') {
+    result.VatRate = 0;
+    if (vat) {
+      flag('VAT', 'מע"מ זר אינו מע"מ תשומות ולא נכלל');
+    }
+    result.VAT = 0;
+    if (total !== null) {
+      if (net !== total) fill('PriceWithoutVat', total);
+    } else if (net !== null) {
+      fill('TotalPrice', net + (vat || 0));
+      if (vat) fill('PriceWithoutVat', net + vat);
+    } else {
+      flag('TotalPrice', 'חסר סכום כולל');
+    }
+    return result;
+  }
+
+  const rate = getVatRate(expense.Date);
+  result.VatRate = rate;
+
+  const missing = [net, vat, total].filter((amount) => amount === null).length;
+  if (missing === 1) {
+    if (total === null) {
+      total = net + vat;
+      fill('TotalPrice', total);
+    } else if (vat === null) {
+      vat = total - net;
+      fill('VAT', vat);
+    } else {
+      net = total - vat;
+      fill('PriceWithoutVat', net);
+    }
+  } else if (missing > 1) {
+    // Could be a VAT-exempt dealer as well as a missing amount; don't guess
+    if (net === null) flag('PriceWithoutVat', 'חסר סכום ללא מע"מ');
+    if (vat === null) flag('VAT', 'חסר סכום מע"מ');
+    if (total === null) flag('TotalPrice', 'חסר סכום כולל');
+    return result;
+  }
+
+  if (Math.abs(net + vat - total) > tolerance) {
+    const message = 'סכום ללא מע"מ + מע"מ אינו שווה לסכום הכולל';
+    flag('PriceWithoutVat', message);
+    flag('VAT', message);
+    flag('TotalPrice', message);
+  } else if (
+    vat !== 0 &&
+    Math.abs(vat - net * rate) > Math.max(ROUNDING_TOLERANCE, Math.abs(net) * RATE_TOLERANCE)
+  ) {
+    // Zero VAT is legitimate (exempt dealers), any other amount should match the rate
+    flag('VAT', `המע"מ אינו תואם לשיעור ${formatRate(rate)} בתאריך הקבלה`);
+  }
+
+  return result;
+}
+
+// One line for the Excel reason column
+function describeVatResult(expense) {
+  const fieldNames = {
+    PriceWithoutVat: 'סכום ללא מע"מ',
+    VAT: 'מע"מ',
+    TotalPrice: 'סכום כולל',
+  };
+  const notes = [...new Set((expense.VatIssues || []).map((issue) => issue.message))];
+  (expense.VatFilled || []).forEach((field) => {
+    notes.push(`${fieldNames[field]} חושב אוטומטית`);
+  });
+  return notes.join('; ');
+}
+
+module.exports = {
+  ISRAELI_VAT_RATES,
+  getVatRate,
+  validateVat,
+  describeVatResult,
+};
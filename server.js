@@ -5,8 +5,6 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs-extra');
 const axios = require('axios');
-const FormData = require('form-data');
-const sanitize = require('sanitize-filename');
 const { PDFDocument } = require('pdf-lib');
 const { google } = require('googleapis');
 const cors = require('cors');
@@ -17,6 +15,64 @@ const session = require('express-session');
 const events = require('events');
 const archiver = require('archiver');
 const nodemailer = require('nodemailer'); // Added for email
+const {
+  createProviderFromEnv,
+  createExchangeRateService,
+} = require('./lib/exchange-rates');
+const { createUnlockersFromEnv } = require('./lib/pdf-unlock');
+const { buildPasswordCandidates, loadPasswordRules } = require('./lib/pdf-passwords');
+const { createJobStore } = require('./lib/job-store');
+const { mapWithConcurrency, createRateLimiter, retryWithBackoff } = require('./lib/concurrency');
+const { createApiRouter, parseApiKeys, keysMatch } = require('./lib/api-v1');
+const { findContentDuplicates, findInvoiceDuplicates } = require('./lib/duplicates');
+const { validateVat, describeVatResult } = require('./lib/vat');
+const { resolveBusinessNumber, describeBusinessNumber } = require('./lib/business-number');
+const { createOpenFormatExport } = require('./lib/open-format');
+const { createReceiptsPdf } = require('./lib/receipts-pdf');
+const {
+  DEFAULT_NAME_TEMPLATE,
+  FOLDER_GROUPINGS,
+  planArchiveNames,
+  uniqueFileName,
+} = require('./lib/file-naming');
+const { splitDocument, removeUnitFiles, mergeReceiptPages, formatPages } = require('./lib/page-split');
+const {
+  DEFAULT_GMAIL_RULES,
+  gmailRulesFile,
+  loadGmailRules,
+  saveGmailRules,
+  buildGmailQuery,
+  evaluateMessage,
+  evaluateAttachment,
+  evaluateEmailBody,
+} = require('./lib/gmail-rules');
+const { readImageSize } = require('./lib/image-size');
+const { createEmailPdf } = require('./lib/email-pdf');
+const {
+  BODY_ITEM,
+  gmailSyncFile,
+  loadSyncState,
+  saveSyncState,
+  isMessageSeen,
+  isRangeCovered,
+  previousRunOf,
+  recordProcessed,
+} = require('./lib/gmail-sync');
+const { GMAIL_MODIFY_SCOPE, labelMessages } = require('./lib/gmail-labels');
+const { gmailProvenance, uploadProvenance, sourceLabel } = require('./lib/provenance');
+const packageInfo = require('./package.json');
+const {
+  UNCATEGORIZED,
+  loadCategoryRules,
+  saveCategoryRules,
+  categorizeExpense,
+} = require('./lib/categories');
+const {
+  detectCurrency,
+  detectAmountCurrencies,
+  normalizeCurrencyCode,
+  isConvertedToShekels,
+} = require('./lib/currency');
 
 const app = express();
 
@@ -35,23 +91,47 @@ app.use(express.urlencoded({ extended: true }));
 app.use(express.json());
 app.set('view engine', 'ejs');
 
-app.use(
-  session({
-    secret: process.env.SESSION_SECRET || 'your_session_secret',
-    resave: false,
-    saveUninitialized: true,
-    cookie: {
-      maxAge: 3600000,
-    },
-  })
-);
+const sessionMiddleware = session({
+  secret: process.env.SESSION_SECRET || 'your_session_secret',
+  resave: false,
+  saveUninitialized: true,
+  cookie: {
+    maxAge: 3600000,
+  },
+});
+
+// API clients authenticate with a key on every request and get no session.
+app.use((req, res, next) => {
+  if (req.path.startsWith('/api/')) {
+    next();
+    return;
+  }
+  sessionMiddleware(req, res, next);
+});
 
 const taskQueue = [];
-let isProcessing = false;
-const progressEmitters = new Map();
+let activeTaskCount = 0;
+
+// Progress snapshots and completion of every job, keyed by job ID
+const jobUpdates = new EventEmitter();
+jobUpdates.setMaxListeners(0);
 
 const gmailTaskQueue = [];
-let isGmailProcessing = false;
+let activeGmailTaskCount = 0;
+
+// Gmail jobs paused for preview, by job ID. The task stays in memory with the
+// PDF passwords and fetched messages, so a restart fails these jobs (see
+// recoverJobs).
+const pausedGmailTasks = new Map();
+
+// Jobs of each kind that run at once, and files processed at once within a job
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+const FILE_CONCURRENCY = parseInt(process.env.FILE_CONCURRENCY, 10) || 4;
+
+// Shared by all jobs so the combined rate stays under the Document AI quota
+const documentAiLimiter = createRateLimiter({
+  maxRequests: parseInt(process.env.DOCUMENT_AI_REQUESTS_PER_MINUTE, 10) || 120,
+});
 
 const date = new Date();
 const folderName = `${date.getFullYear()}-${(date.getMonth() + 1)
@@ -77,9 +157,98 @@ if (!fs.existsSync(INPUT_FOLDER)) {
 
 console.log(`Input folder: ${INPUT_FOLDER}`);
 
-const PDFCO_API_KEY = process.env.PDFCO_API_KEY;
-const PASSWORD_PROTECTED_PDF_PASSWORD =
-  process.env.PASSWORD_PROTECTED_PDF_PASSWORD || 'your-default-password';
+// Persistent state (caches etc.) that must survive restarts and folder cleanup
+const DATA_FOLDER = process.env.DATA_FOLDER || path.join(__dirname, 'data');
+fs.ensureDirSync(DATA_FOLDER);
+
+const exchangeRates = createExchangeRateService({
+  provider: createProviderFromEnv(),
+  cacheFile:
+    process.env.EXCHANGE_RATE_CACHE_FILE ||
+    path.join(DATA_FOLDER, 'exchange-rates.json'),
+});
+
+// Local decryption first; PDF.co only as an opt-in fallback (PDFCO_API_KEY)
+const pdfUnlockers = createUnlockersFromEnv();
+const jobStore = createJobStore(path.join(DATA_FOLDER, 'jobs'));
+const FILE_RETENTION_MS = 3600000;
+const cleanupTimers = new Map();
+
+const PASSWORD_PROTECTED_PDF_PASSWORD = process.env.PASSWORD_PROTECTED_PDF_PASSWORD || '';
+const PDF_PASSWORD_RULES_FILE =
+  process.env.PDF_PASSWORD_RULES_FILE || path.join(DATA_FOLDER, 'pdf-password-rules.json');
+// Edited from /category-rules.html; the built-in rules apply until it is saved
+const CATEGORY_RULES_FILE =
+  process.env.CATEGORY_RULES_FILE || path.join(DATA_FOLDER, 'category-rules.json');
+// The category rules are shared by every user, so saving them needs this key;
+// without it they can't be edited at all
+const ADMIN_KEY = process.env.ADMIN_KEY || '';
+
+// One Gmail rules file per Gmail account, edited from /gmail-rules.html
+const GMAIL_RULES_FOLDER = process.env.GMAIL_RULES_FOLDER || path.join(DATA_FOLDER, 'gmail-rules');
+
+// Which Gmail messages each account already turned into expenses
+const GMAIL_SYNC_FOLDER = process.env.GMAIL_SYNC_FOLDER || path.join(DATA_FOLDER, 'gmail-sync');
+
+// Optional labels for Gmail messages that gave expenses and for those that
+// failed. Turning them on makes Gmail sign-in ask to modify the mailbox.
+const GMAIL_LABEL_OPTIONS = {
+  enabled: process.env.GMAIL_LABELS === 'true',
+  processedLabel: process.env.GMAIL_PROCESSED_LABEL || 'Receipts/Processed {month}',
+  failedLabel: process.env.GMAIL_FAILED_LABEL || 'Receipts/Failed',
+  archive: process.env.GMAIL_ARCHIVE_PROCESSED === 'true',
+};
+const GMAIL_SCOPES = [
+  'https://www.googleapis.com/auth/gmail.readonly',
+  ...(GMAIL_LABEL_OPTIONS.enabled ? [GMAIL_MODIFY_SCOPE] : []),
+];
+
+// Gmail images smaller than this are taken for logos and signatures
+const GMAIL_MIN_IMAGE_BYTES = parseInt(process.env.GMAIL_MIN_IMAGE_BYTES, 10) || 10 * 1024;
+const GMAIL_MIN_IMAGE_SIDE = parseInt(process.env.GMAIL_MIN_IMAGE_SIDE, 10) || 200;
+
+// Gmail requests in flight per job, and how often one that hit a rate limit
+// or a server error is retried
+const GMAIL_CONCURRENCY = parseInt(process.env.GMAIL_CONCURRENCY, 10) || 5;
+const GMAIL_MAX_RETRIES = parseInt(process.env.GMAIL_MAX_RETRIES, 10) || 5;
+
+// Whether Gmail messages without attachments that match the rules have their
+// body turned into a receipt PDF, unless the form says otherwise
+const EMAIL_BODIES_DEFAULT = process.env.GMAIL_EMAIL_BODIES === 'true';
+
+// Shekels that net + VAT may differ from the total before a row is flagged
+const VAT_TOLERANCE = parseFloat(process.env.VAT_TOLERANCE) || 1;
+
+// Multi-page PDFs and TIFFs are split into one receipt per page only when the
+// form or API request asks for it, or SPLIT_PAGES=true makes it the default.
+// Longer documents are processed whole.
+const SPLIT_PAGES_DEFAULT = process.env.SPLIT_PAGES === 'true';
+const MAX_SPLIT_PAGES = parseInt(process.env.MAX_SPLIT_PAGES, 10) || 30;
+
+// Default names for the files inside the output ZIP; the form can override it
+const ZIP_NAME_TEMPLATE =
+  process.env.ZIP_NAME_TEMPLATE !== undefined ? process.env.ZIP_NAME_TEMPLATE : DEFAULT_NAME_TEMPLATE;
+
+// TTF with Hebrew glyphs for the merged receipts PDF (Helvetica without it) and
+// for email bodies saved as PDFs (skipped without it). nixpacks.toml installs
+// the default one.
+const RECEIPTS_PDF_FONT =
+  process.env.RECEIPTS_PDF_FONT || '/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf';
+
+// The business the unified open format (מבנה אחיד) export is filed for
+const OPEN_FORMAT_OPTIONS = {
+  business: {
+    vatNumber: process.env.OPEN_FORMAT_VAT_NUMBER || '',
+    name: process.env.OPEN_FORMAT_BUSINESS_NAME || '',
+    companyNumber: process.env.OPEN_FORMAT_COMPANY_NUMBER || '',
+  },
+  software: {
+    registrationNumber: process.env.OPEN_FORMAT_SOFTWARE_REGISTRATION || '',
+    name: 'kabalot',
+    version: packageInfo.version,
+  },
+  documentType: parseInt(process.env.OPEN_FORMAT_DOCUMENT_TYPE, 10) || undefined,
+};
 
 const DOCUMENT_AI_CONFIG = {
   projectId: process.env.DOCUMENT_AI_PROJECT_ID || 'your-project-id',
@@ -109,20 +278,83 @@ function authenticateServiceAccount() {
   return jwtClient;
 }
 
-function scheduleFolderDeletion(folderPath, delayMs) {
-  setTimeout(() => {
-    fs.remove(folderPath)
-      .then(() => {
-        console.log(`Deleted folder: ${folderPath}`);
+function deleteJobFiles(jobId) {
+  cleanupTimers.delete(jobId);
+  pausedGmailTasks.delete(jobId);
+  const job = jobStore.get(jobId);
+  if (!job) return;
+
+  Promise.all(
+    job.cleanupPaths.map((filePath) =>
+      fs.remove(filePath).then(() => {
+        console.log(`Deleted: ${filePath}`);
       })
-      .catch((err) => {
-        console.error(`Error deleting folder ${folderPath}:`, err);
-      });
-  }, delayMs);
+    )
+  )
+    .catch((err) => {
+      console.error(`Error deleting files of job ${jobId}:`, err);
+    })
+    .finally(() => {
+      jobStore.remove(jobId);
+    });
+}
+
+// The expiry is stored on the job, so timers can be rebuilt after a restart.
+function scheduleJobCleanup(jobId, delayMs) {
+  let job = jobStore.get(jobId);
+  if (!job) return;
+  if (!job.expiresAt) {
+    job = jobStore.update(jobId, {
+      expiresAt: new Date(Date.now() + delayMs).toISOString(),
+    });
+  }
+
+  const remainingMs = Math.max(0, new Date(job.expiresAt).getTime() - Date.now());
+  clearTimeout(cleanupTimers.get(jobId));
+  cleanupTimers.set(jobId, setTimeout(() => deleteJobFiles(jobId), remainingMs));
+}
+
+// A job paused for preview or review has not finished, so its stream stays open.
+function finishJob(jobId, changes) {
+  const job = jobStore.get(jobId);
+  if (!job) return;
+  const paused = changes.state === 'preview' || changes.state === 'review';
+  jobStore.update(jobId, {
+    ...changes,
+    finishedAt: paused ? null : new Date().toISOString(),
+  });
+  if (!paused) {
+    jobUpdates.emit(jobId, { type: 'done' });
+  }
+}
+
+function isJobFinished(job) {
+  return job.state === 'completed' || job.state === 'failed';
+}
+
+// Tasks report progress through a plain emitter; every snapshot is kept as
+// the job's latest progress, so it can be replayed to clients that reconnect,
+// and broadcast with an increasing event ID. It is only written to disk with
+// the job's next state change, not once per file.
+function createProgressEmitter(jobId) {
+  const progressEmitter = new EventEmitter();
+  progressEmitter.on('progress', (snapshot) => {
+    const job = jobStore.get(jobId);
+    if (!job) return;
+    const eventId = (job.progressEventId || 0) + 1;
+    jobStore.updateInMemory(jobId, { progress: snapshot, progressEventId: eventId });
+    jobUpdates.emit(jobId, { type: 'progress', id: eventId, data: snapshot });
+  });
+  return progressEmitter;
+}
+
+function jobDownloadUrl(jobId, filePath) {
+  const baseUrl = process.env.BASE_URL || 'http://localhost:8080';
+  return `${baseUrl}/jobs/${jobId}/download/${encodeURIComponent(path.basename(filePath))}`;
 }
 
-function getQueuePosition(queue, sessionId) {
-  return queue.findIndex(task => task.sessionId === sessionId) + 1;
+function getQueuePosition(queue, jobId) {
+  return queue.findIndex(task => task.jobId === jobId) + 1;
 }
 
 function formatDate(date) {
@@ -131,103 +363,282 @@ function formatDate(date) {
 
 function cleanAndParseAmount(amountStr) {
   if (!amountStr) return 0;
-  amountStr = amountStr.replace(/[^0-9.\-]+/g, '');
+  amountStr = String(amountStr).replace(/[^0-9.\-]+/g, '');
   const parsedAmount = parseFloat(amountStr);
   return isNaN(parsedAmount) ? 0 : parsedAmount;
 }
 
-async function getUsdToIlsExchangeRate(date) {
-  // Mock implementation
-  const exchangeRate = 3.5;
-  return exchangeRate;
+// Tries every candidate with one provider before moving to the next, so a
+// file only reaches PDF.co once the local decryption has run out of options.
+// Remote unlockers only get explicitPasswords: every attempt re-uploads the
+// file, and passwords derived from the user's ID or phone stay on the server
+async function unlockPdf(filePath, passwords, explicitPasswords = []) {
+  for (const unlocker of pdfUnlockers) {
+    for (const password of unlocker.remote ? explicitPasswords : passwords) {
+      const unlockedPath = await unlocker.unlock(filePath, password);
+      if (unlockedPath) {
+        return unlockedPath;
+      }
+    }
+  }
+  return null;
 }
 
-async function unlockPdf(filePath, password) {
-  if (!PDFCO_API_KEY) {
-    throw new Error('PDFCO_API_KEY not set');
-  }
+function getPasswordValues(body) {
+  return {
+    idNumber: body.idNumber || '',
+    customerNumber: body.customerNumber || '',
+    phoneNumber: body.phoneNumber || '',
+    extraPasswords: body.extraPasswords || '',
+  };
+}
 
-  try {
-    const formData = new FormData();
-    formData.append('file', fs.createReadStream(filePath));
+// Whether the form gave any PDF password. The values themselves live only on
+// the queued task, never in the job record on disk, so a job resumed after a
+// restart runs without them.
+function hasPasswordValues(values) {
+  return Object.values(values).some((value) => String(value).trim());
+}
 
-    const uploadResponse = await axios.post(
-      'https://api.pdf.co/v1/file/upload',
-      formData,
-      {
-        headers: {
-          'x-api-key': PDFCO_API_KEY,
-          ...formData.getHeaders(),
-        },
-      }
-    );
+function getSplitPages(body) {
+  if (body.splitPages === undefined) return SPLIT_PAGES_DEFAULT;
+  return ['on', 'true', '1'].includes(String(body.splitPages).toLowerCase());
+}
 
-    if (!uploadResponse.data || !uploadResponse.data.url) {
-      console.error('Error uploading PDF:', JSON.stringify(uploadResponse.data));
-      return null;
-    }
+function getEmailBodies(body) {
+  if (body.emailBodies === undefined) return EMAIL_BODIES_DEFAULT;
+  return ['on', 'true', '1'].includes(String(body.emailBodies).toLowerCase());
+}
 
-    const uploadedFileUrl = uploadResponse.data.url;
+// "New since last run" is off unless the form asks for it
+function getNewOnly(body) {
+  return ['on', 'true', '1'].includes(String(body.newOnly).toLowerCase());
+}
 
-    const unlockResponse = await axios.post(
-      'https://api.pdf.co/v1/pdf/security/remove',
-      {
-        url: uploadedFileUrl,
-        password: password,
-        name:
-          path.basename(filePath, path.extname(filePath)) +
-          '_unlocked' +
-          path.extname(filePath),
-      },
-      {
-        headers: {
-          'x-api-key': PDFCO_API_KEY,
-          'Content-Type': 'application/json',
-        },
-      }
-    );
+// Picking the attachments by hand before processing is off unless asked for
+function getPreview(body) {
+  return ['on', 'true', '1'].includes(String(body.preview).toLowerCase());
+}
 
-    if (unlockResponse.data && unlockResponse.data.url) {
-      const unlockedPdfResponse = await axios.get(unlockResponse.data.url, {
-        responseType: 'arraybuffer',
-      });
-      const unlockedPdfPath = filePath.replace(
-        path.extname(filePath),
-        '_unlocked' + path.extname(filePath)
-      );
-      fs.writeFileSync(unlockedPdfPath, unlockedPdfResponse.data);
-      console.log('PDF unlocked successfully:', unlockedPdfPath);
-      return unlockedPdfPath;
-    } else {
-      console.error('Error unlocking PDF:', JSON.stringify(unlockResponse.data));
-      return null;
-    }
-  } catch (error) {
-    console.error('Error in unlockPdf:', error.message);
-    return null;
+// An empty template keeps the original file names
+function getNamingOptions(body) {
+  return {
+    template: body.fileNameTemplate !== undefined ? String(body.fileNameTemplate) : ZIP_NAME_TEMPLATE,
+    groupBy: FOLDER_GROUPINGS.includes(body.zipGrouping) ? body.zipGrouping : 'none',
+  };
+}
+
+function getPdfPasswordCandidates(passwordValues, sender, { explicitOnly = false } = {}) {
+  return buildPasswordCandidates(
+    { ...passwordValues, defaultPassword: PASSWORD_PROTECTED_PDF_PASSWORD },
+    { sender, rules: loadPasswordRules(PDF_PASSWORD_RULES_FILE), explicitOnly }
+  );
+}
+
+function processNextTask() {
+  while (activeTaskCount < JOB_CONCURRENCY && taskQueue.length > 0) {
+    const task = taskQueue.shift();
+    activeTaskCount++;
+    runUploadTask(task).finally(() => {
+      activeTaskCount--;
+      processNextTask();
+    });
   }
 }
 
-async function processNextTask() {
-  if (taskQueue.length === 0) {
-    isProcessing = false;
-    return;
+// Builds the Excel, ZIP, merged receipts PDF and open format export of a job,
+// publishes the download links and emails them. Used when extraction finishes,
+// or when a reviewed job is finalized. progressItems are shown above the final
+// status.
+async function generateJobOutputs(job, { files, expenses, duplicates, progressItems = [] }, { progressEmitter, req }) {
+  const { inputs } = job;
+  const isGmail = job.type === 'gmail';
+
+  // The Excel lists each file under its name inside the ZIP
+  const filesByName = new Map(files.map((filePath) => [path.basename(filePath), filePath]));
+  const archiveNames = planArchiveNames(
+    files,
+    [...expenses, ...duplicates],
+    inputs.naming || getNamingOptions({})
+  );
+  const archiveNameOf = (fileName) => archiveNames.get(filesByName.get(fileName)) || fileName;
+
+  const excelPath = await createExpenseExcel(
+    expenses.map((expense) => ({ ...expense, FileName: archiveNameOf(expense.FileName) })),
+    job.userFolder,
+    'סיכום הוצאות',
+    isGmail ? inputs.startDate : formatDate(new Date()),
+    isGmail ? inputs.endDate : formatDate(new Date()),
+    isGmail ? '' : inputs.name,
+    duplicates.map((duplicate) => ({
+      ...duplicate,
+      FileName: archiveNameOf(duplicate.FileName),
+      DuplicateOf: archiveNameOf(duplicate.DuplicateOf),
+    }))
+  );
+
+  const zipFileName = `processed_files_${Date.now()}.zip`;
+  const zipFilePath = await createZipFile(files, job.userFolder, zipFileName, archiveNames);
+
+  // Expense i is on Excel row i + 2, below the header
+  const receiptsPdfPath = await createReceiptsPdf(
+    expenses.map((expense, index) => ({
+      rowNumber: index + 2,
+      expense,
+      filePath: filesByName.get(expense.FileName) || null,
+      pages: expense.SourcePages || null,
+    })),
+    path.join(job.userFolder, `receipts_${Date.now()}.pdf`),
+    {
+      name: isGmail ? '' : inputs.name,
+      startDate: isGmail ? inputs.startDate : undefined,
+      endDate: isGmail ? inputs.endDate : undefined,
+      fontPath: RECEIPTS_PDF_FONT,
+    }
+  );
+
+  const openFormatPath = await createOpenFormatExport(
+    expenses,
+    job.userFolder,
+    `open_format_${Date.now()}.zip`,
+    OPEN_FORMAT_OPTIONS
+  );
+  // The open format only holds shekel amounts (see lib/open-format)
+  const unconvertedFiles = expenses
+    .filter((expense) => !isConvertedToShekels(expense))
+    .map((expense) => archiveNameOf(expense.FileName));
+  const unconvertedSummary = unconvertedFiles.length > 0
+    ? [{ status: `קבלות ללא שער המרה לא נכללו בקובץ במבנה אחיד: ${[...new Set(unconvertedFiles)].join(', ')}` }]
+    : [];
+
+  const excelUrl = jobDownloadUrl(job.id, excelPath);
+  const zipUrl = jobDownloadUrl(job.id, zipFilePath);
+  const receiptsPdfUrl = jobDownloadUrl(job.id, receiptsPdfPath);
+  const openFormatUrl = jobDownloadUrl(job.id, openFormatPath);
+
+  // Store last results in session (not available for API jobs or jobs
+  // resumed after a restart)
+  if (req && req.session) {
+    req.session.lastResults = {
+      excelUrl,
+      zipUrl,
+      receiptsPdfUrl,
+      openFormatUrl,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  progressEmitter.emit('progress', [
+    ...progressItems,
+    ...unconvertedSummary,
+    {
+      status: 'Processing complete. Download the files below. Files will be available for 1 hour.',
+      progress: 100,
+      downloadLinks: [
+        { label: 'הורד קובץ אקסל', url: excelUrl },
+        { label: 'הורד קבצים מעובדים (ZIP)', url: zipUrl },
+        { label: 'הורד קובץ PDF מאוחד', url: receiptsPdfUrl },
+        { label: 'הורד קובץ במבנה אחיד', url: openFormatUrl },
+      ],
+    },
+  ]);
+
+  // Send email with results if email provided
+  if (inputs.email) {
+    const mailOptions = {
+      from: process.env.EMAIL_USER,
+      to: inputs.email,
+      subject: 'Your Processed Expense Files',
+      html: `<p>שלום,</p>
+      <p>קבציך עובדו בהצלחה. ניתן להוריד את הקבצים מהקישורים הבאים:</p>
+      <p><a href="${excelUrl}">הורדת אקסל</a></p>
+      <p><a href="${zipUrl}">הורדת קובצי ZIP</a></p>
+      <p><a href="${receiptsPdfUrl}">הורדת קובץ PDF מאוחד של כל הקבלות</a></p>
+      <p><a href="${openFormatUrl}">הורדת קובץ במבנה אחיד</a></p>
+      <p>הקישורים יהיו זמינים למשך שעה.</p>
+      <p>תודה,<br>השירות שלך</p>`
+    };
+
+    transporter.sendMail(mailOptions, (error, info) => {
+      if (error) {
+        console.error('Error sending email:', error);
+      } else {
+        console.log('Email sent:', info.response);
+      }
+    });
   }
 
-  isProcessing = true;
-  const task = taskQueue.shift();
+  return {
+    excelPath,
+    zipPath: zipFilePath,
+    receiptsPdfPath,
+    openFormatPath,
+    excelUrl,
+    zipUrl,
+    receiptsPdfUrl,
+    openFormatUrl,
+  };
+}
+
+// Keeps everything finalizing needs on the job and points the user at the
+// review page instead of generating the files.
+function pauseForReview(jobId, { files, expenses, progressData, progressItems }, progressEmitter) {
+  const failedRows = progressData
+    .filter((item) => item.status === 'Failed' || item.status === 'Locked')
+    .map((item) => ({ FileName: item.fileName, included: false, extractionFailed: true }));
+
+  progressEmitter.emit('progress', [
+    ...progressItems,
+    {
+      status: 'Extraction complete. Review the rows before the files are generated.',
+      progress: 100,
+      reviewUrl: `/jobs/${jobId}/review`,
+    },
+  ]);
+
+  return {
+    state: 'review',
+    sourceFiles: files,
+    reviewRows: [
+      ...expenses.map((expense) => ({ ...expense, included: true })),
+      ...failedRows,
+    ],
+    reviewProgressItems: progressItems,
+  };
+}
+
+// Keeps the candidates on the job and points the user at the preview page,
+// where they pick what is downloaded and sent to Document AI.
+function pauseForPreview(jobId, { candidates }, progressEmitter) {
+  const accepted = candidates.filter((candidate) => candidate.accepted).length;
+  progressEmitter.emit('progress', [
+    {
+      status: `Found ${candidates.length} Gmail item(s), ${accepted} matching the rules. Choose which to process.`,
+      progress: 100,
+      previewUrl: `/jobs/${jobId}/preview`,
+    },
+  ]);
+
+  return {
+    state: 'preview',
+    gmailCandidates: candidates,
+  };
+}
+
+async function runUploadTask(task) {
   const {
-    sessionId,
-    userFolder,
+    jobId,
     files,
-    name,
-    idNumber,
-    email,
+    passwordValues,
+    splitPages,
+    review,
     progressEmitter,
     req,
   } = task;
+  let jobResult = { state: 'completed' };
 
   try {
+    jobStore.update(jobId, { state: 'running', startedAt: new Date().toISOString() });
     progressEmitter.emit('progress', [
       { status: 'Processing started.', progress: 0 },
     ]);
@@ -237,7 +648,7 @@ async function processNextTask() {
       return;
     }
 
-    console.log(`Processing ${files.length} file(s) for session ${sessionId}...`);
+    console.log(`Processing ${files.length} file(s) for job ${jobId}...`);
 
     const progressData = files.map((filePath) => ({
       fileName: path.basename(filePath),
@@ -251,112 +662,55 @@ async function processNextTask() {
 
     emitProgress();
 
-    const expenses = [];
-    const serviceAccountAuth = authenticateServiceAccount();
-    await serviceAccountAuth.authorize();
-
-    for (let i = 0; i < files.length; i++) {
-      progressData[i].status = 'Processing';
-      progressData[i].progress = 25;
-      emitProgress();
-
-      const expenseData = await processFile(files[i], serviceAccountAuth, idNumber);
-
-      if (expenseData) {
-        expenses.push(expenseData);
-        progressData[i].status = 'Completed';
-        progressData[i].progress = 100;
-        progressData[i].businessName = expenseData.BusinessName || 'N/A';
-        progressData[i].date = expenseData.Date || 'N/A';
-        progressData[i].totalPrice = expenseData.TotalPrice
-          ? parseFloat(expenseData.TotalPrice).toFixed(2)
-          : 'N/A';
-      } else {
-        progressData[i].status = 'Failed';
-        progressData[i].progress = 100;
-      }
-
-      emitProgress();
-    }
-
-    if (expenses.length > 0) {
-      const startDate = formatDate(new Date());
-      const endDate = formatDate(new Date());
-      const excelPath = await createExpenseExcel(
-        expenses,
-        userFolder,
-        'סיכום הוצאות',
-        startDate,
-        endDate,
-        name
-      );
-
-      const baseUrl = process.env.BASE_URL;
-      const excelUrl = `${baseUrl}/download/${excelFileName}`;
-      const zipUrl = `${baseUrl}/download/${zipFileNameEncoded}`;
-      const zipFileName = `processed_files_${Date.now()}.zip`;
-      const zipFilePath = await createZipFile(files, userFolder, zipFileName);
-
-      const excelFileName = encodeURIComponent(path.basename(excelPath));
-      const zipFileNameEncoded = encodeURIComponent(path.basename(zipFilePath));
-
-      // Store last results in session
-      req.session.lastResults = {
-        excelUrl,
-        zipUrl,
-        timestamp: new Date().toISOString()
+    const uploadedAt = jobStore.get(jobId).createdAt;
+    const { expenses, duplicates } = await processFiles(files, progressData, emitProgress, {
+      passwordValues,
+      splitPages,
+      provenance: new Map(files.map((filePath) => [filePath, uploadProvenance(uploadedAt)])),
+    });
+    jobResult.expenses = expenses;
+    jobResult.duplicates = duplicates;
+    jobResult.fileResults = getFileResults(progressData);
+
+    const lockedFiles = progressData.filter((item) => item.locked).map((item) => item.fileName);
+    const passwordsNote = task.hasPdfPasswords && !passwordValues
+      ? '. סיסמאות ה-PDF לא נשמרות בהפעלה מחדש של השרת; יש להעלות את הקבצים שוב עם הסיסמאות'
+      : '';
+    const lockedSummary = lockedFiles.length > 0
+      ? [{ status: `קבצים שנשארו נעולים: ${lockedFiles.join(', ')}${passwordsNote}`, lockedFiles }]
+      : [];
+
+    if (review) {
+      jobResult = {
+        ...jobResult,
+        ...pauseForReview(
+          jobId,
+          { files, expenses, progressData, progressItems: [...progressData, ...lockedSummary] },
+          progressEmitter
+        ),
       };
-
-      progressEmitter.emit('progress', [
-        ...progressData,
-        {
-          status: 'Processing complete. Download the files below. Files will be available for 1 hour.',
-          progress: 100,
-          downloadLinks: [
-            { label: 'הורד קובץ אקסל', url: excelUrl },
-            { label: 'הורד קבצים מעובדים (ZIP)', url: zipUrl },
-          ],
-        },
-      ]);
-
-      // Send email with results if email provided
-      if (email) {
-        const mailOptions = {
-          from: process.env.EMAIL_USER,
-          to: email,
-          subject: 'Your Processed Expense Files',
-          html: `<p>שלום,</p>
-          <p>קבציך עובדו בהצלחה. ניתן להוריד את הקבצים מהקישורים הבאים:</p>
-          <p><a href="${excelUrl}">הורדת אקסל</a></p>
-          <p><a href="${zipUrl}">הורדת קובצי ZIP</a></p>
-          <p>הקישורים יהיו זמינים למשך שעה.</p>
-          <p>תודה,<br>השירות שלך</p>`
-        };
-
-        transporter.sendMail(mailOptions, (error, info) => {
-          if (error) {
-            console.error('Error sending email:', error);
-          } else {
-            console.log('Email sent:', info.response);
-          }
-        });
-      }
+    } else if (expenses.length > 0) {
+      jobResult.artifacts = await generateJobOutputs(
+        jobStore.get(jobId),
+        { files, expenses, duplicates, progressItems: [...progressData, ...lockedSummary] },
+        { progressEmitter, req }
+      );
     } else {
       progressEmitter.emit('progress', [
         ...progressData,
+        ...lockedSummary,
         { status: 'No expenses extracted.', progress: 100 },
       ]);
     }
   } catch (processingError) {
     console.error('Processing Error:', processingError.message);
+    jobResult = { state: 'failed', error: processingError.message };
     progressEmitter.emit('progress', [
       { status: `Processing Error: ${processingError.message}`, progress: 100 },
     ]);
   } finally {
-    scheduleFolderDeletion(userFolder, 3600000);
-    progressEmitters.delete(sessionId);
-    isProcessing = false;
-    processNextTask();
+    finishJob(jobId, jobResult);
+    scheduleJobCleanup(jobId, FILE_RETENTION_MS);
   }
 }
 
@@ -380,21 +734,6 @@ async function isPdfEncrypted(filePath) {
   }
 }
 
-function detectCurrency(value) {
-  const usdRegex = /\$|USD/;
-  const ilsRegex = /₪|ILS|ש"ח/;
-
-  if (usdRegex.test(value)) {
-    return 'USD';
-  } else if (ilsRegex.test(value)) {
-    return 'ILS';
-  } else {
-    return 'ILS';
-  }
-}
-
-const exchangeRateCache = {};
-
 const additionalStorage = multer.diskStorage({
   destination: function (req, file, cb) {
     const attachmentsFolder = getAttachmentsFolder(req);
@@ -402,8 +741,8 @@ const additionalStorage = multer.diskStorage({
     cb(null, attachmentsFolder);
   },
   filename: function (req, file, cb) {
-    const sanitized = sanitize(file.originalname) || 'unnamed_attachment';
-    cb(null, sanitized);
+    req.uploadNames = req.uploadNames || new Set();
+    cb(null, uniqueFileName(getAttachmentsFolder(req), file.originalname, req.uploadNames));
   },
 });
 
@@ -435,6 +774,9 @@ const additionalUpload = multer({
   limits: { fileSize: 50 * 1024 * 1024 },
 }).array('additionalFiles', 100);
 
+// Entities whose text may name the receipt's currency
+const CURRENCY_ENTITY_TYPES = ['Currency', 'Price-Without-Vat', 'VAT', 'Total-Price'];
+
 async function parseReceiptWithDocumentAI(filePath, serviceAccountAuth) {
   const { projectId, location, processorId } = DOCUMENT_AI_CONFIG;
   const url = `https://${location}-documentai.googleapis.com/v1/projects/${projectId}/locations/${location}/processors/${processorId}:process`;
@@ -464,6 +806,8 @@ async function parseReceiptWithDocumentAI(filePath, serviceAccountAuth) {
       await serviceAccountAuth.authorize();
     }
 
+    await documentAiLimiter.acquire();
+
     const accessToken = serviceAccountAuth.credentials.access_token;
 
     const response = await axios.post(url, payload, {
@@ -486,16 +830,17 @@ async function parseReceiptWithDocumentAI(filePath, serviceAccountAuth) {
       BusinessNumber: '',
       Date: '',
       InvoiceNumber: '',
-      OriginalTotalUSD: '',
       PriceWithoutVat: '',
       VAT: '',
       TotalPrice: '',
       Currency: '',
+      OriginalTotal: '',
+      OriginalCurrency: '',
+      ExchangeRate: '',
+      ExchangeRateDate: '',
     };
 
-    let hasUSD = false;
-    let originalUSD = 0;
-    let convertedTotalPrice = 0;
+    let currency = '';
     let invoiceDate = '';
 
     for (const entity of entities) {
@@ -504,14 +849,17 @@ async function parseReceiptWithDocumentAI(filePath, serviceAccountAuth) {
 
       if (entity.normalizedValue && entity.normalizedValue.moneyValue) {
         value = entity.normalizedValue.moneyValue.amount;
-        currencyCode = entity.normalizedValue.moneyValue.currencyCode || '';
+        currencyCode = normalizeCurrencyCode(entity.normalizedValue.moneyValue.currencyCode);
       } else {
         value = entity.mentionText || '';
-        currencyCode = detectCurrency(value);
+        // A business name or address such as "CAD Systems" names no currency
+        if (CURRENCY_ENTITY_TYPES.includes(entity.type)) {
+          currencyCode = detectCurrency(value);
+        }
       }
 
-      if (currencyCode === 'USD') {
-        hasUSD = true;
+      if (currencyCode && currencyCode !== 'ILS' && !currency) {
+        currency = currencyCode;
       }
 
       if (entity.type === 'Date' && !invoiceDate) {
@@ -519,8 +867,18 @@ async function parseReceiptWithDocumentAI(filePath, serviceAccountAuth) {
         invoiceDate = value;
       }
 
-      if (hasUSD && invoiceDate) break;
+      if (currency && invoiceDate) break;
+    }
+
+    if (!currency) {
+      // No currency on the amounts themselves; trust the page text only when its
+      // amounts name exactly one currency and no shekel marker.
+      const textCurrencies = detectAmountCurrencies(document.text);
+      if (textCurrencies.size === 1 && !textCurrencies.has('ILS')) {
+        currency = [...textCurrencies][0];
+      }
     }
+    const originalCurrency = currency || 'ILS';
 
     if (!invoiceDate) {
       invoiceDate = formatDate(new Date());
@@ -549,16 +907,28 @@ async function parseReceiptWithDocumentAI(filePath, serviceAccountAuth) {
       }
     }
 
-    let exchangeRate;
-    if (hasUSD) {
-      exchangeRate = exchangeRateCache[invoiceDate];
-      if (!exchangeRate) {
-        exchangeRate = await getUsdToIlsExchangeRate(invoiceDate);
-        exchangeRateCache[invoiceDate] = exchangeRate;
+    // Without a rate the receipt keeps its original amounts and says so,
+    // rather than losing everything extracted
+    let exchangeRate = 1;
+    let converted = true;
+    if (originalCurrency !== 'ILS') {
+      try {
+        const { rate, rateDate } = await exchangeRates.getRate(originalCurrency, invoiceDate);
+        exchangeRate = rate;
+        result['ExchangeRate'] = rate;
+        result['ExchangeRateDate'] = rateDate;
+        console.log(
+          `Using ${originalCurrency} exchange rate: ${exchangeRate} (${rateDate}) for date: ${invoiceDate}`
+        );
+      } catch (rateError) {
+        console.error(`No ${originalCurrency} exchange rate, keeping the original amounts:`, rateError.message);
+        converted = false;
+        result['ExchangeRateNote'] = `אין שער המרה ל-${originalCurrency}; הסכומים במטבע המקור ולא נכללו בסיכום`;
       }
-      console.log(`Using exchange rate: ${exchangeRate} for date: ${invoiceDate}`);
     }
 
+    let originalTotal = '';
+
     for (const entity of entities) {
       let value = '';
       if (entity.normalizedValue && entity.normalizedValue.moneyValue) {
@@ -578,40 +948,38 @@ async function parseReceiptWithDocumentAI(filePath, serviceAccountAuth) {
           result['InvoiceNumber'] = value;
           break;
         case 'Price-Without-Vat':
-          const priceWithoutVat = cleanAndParseAmount(value);
-          if (hasUSD) {
-            originalUSD += priceWithoutVat;
-            result['PriceWithoutVat'] = priceWithoutVat * exchangeRate;
-          } else {
-            result['PriceWithoutVat'] = priceWithoutVat;
-          }
+          result['PriceWithoutVat'] = cleanAndParseAmount(value) * exchangeRate;
           break;
         case 'VAT':
-          const vat = cleanAndParseAmount(value);
-          if (hasUSD) {
-            result['VAT'] = vat * exchangeRate;
-          } else {
-            result['VAT'] = vat;
-          }
+          result['VAT'] = cleanAndParseAmount(value) * exchangeRate;
           break;
         case 'Total-Price':
-          const totalPrice = cleanAndParseAmount(value);
-          if (hasUSD) {
-            convertedTotalPrice = totalPrice * exchangeRate;
-          } else {
-            result['TotalPrice'] = totalPrice;
-          }
+          originalTotal = cleanAndParseAmount(value);
+          result['TotalPrice'] = originalTotal * exchangeRate;
           break;
       }
     }
 
-    if (hasUSD) {
-      result['OriginalTotalUSD'] = originalUSD;
-      result['Currency'] = 'ILS';
-      result['TotalPrice'] = convertedTotalPrice;
-    } else {
-      result['Currency'] = 'ILS';
-    }
+    // The Business-Number entity is often malformed or a phone number; fall back
+    // to a valid number elsewhere on the receipt
+    Object.assign(
+      result,
+      resolveBusinessNumber(result['BusinessNumber'], {
+        entities,
+        text: document.text,
+        exclude: [result['InvoiceNumber']],
+      })
+    );
+
+    result['Category'] = categorizeExpense(
+      result,
+      document.text,
+      loadCategoryRules(CATEGORY_RULES_FILE)
+    );
+
+    result['Currency'] = converted ? 'ILS' : originalCurrency;
+    result['OriginalCurrency'] = originalCurrency;
+    result['OriginalTotal'] = originalTotal;
 
     return result;
   } catch (error) {
@@ -620,7 +988,14 @@ async function parseReceiptWithDocumentAI(filePath, serviceAccountAuth) {
   }
 }
 
-async function createExpenseExcel(expenses, folderPath, filePrefix, startDate, endDate, name) {
+// Cells that need checking, and values that were computed or found elsewhere
+const FLAGGED_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFC7CE' } };
+const COMPUTED_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFEB9C' } };
+// Receipts an earlier Gmail run already produced
+const PREVIOUS_RUN_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFD9D9D9' } };
+
+// duplicates are listed on their own sheet and left out of the totals.
+async function createExpenseExcel(expenses, folderPath, filePrefix, startDate, endDate, name, duplicates = []) {
   const validStartDate = parse(startDate, 'yyyy-MM-dd', new Date());
   const validEndDate = parse(endDate, 'yyyy-MM-dd', new Date());
 
@@ -646,7 +1021,7 @@ async function createExpenseExcel(expenses, folderPath, filePrefix, startDate, e
     views: [{ rightToLeft: true }]
   });
 
-  worksheet.columns = [    { header: 'שם הקובץ', key: 'FileName', width: 30 },    { header: 'שם העסק', key: 'BusinessName', width: 25 },    { header: 'מספר עסק', key: 'BusinessNumber', width: 20 },    { header: 'תאריך', key: 'Date', width: 15 },    { header: 'מספר חשבונית', key: 'InvoiceNumber', width: 20 },    { header: 'סכום ללא מע"מ', key: 'PriceWithoutVat', width: 20 },    { header: 'מע"מ', key: 'VAT', width: 15 },    { header: 'סכום כולל', key: 'TotalPrice', width: 20 },    { header: 'הומר מדולרים*', key: 'OriginalTotalUSD', width: 10 },  ];
+  worksheet.columns = [    { header: 'שם הקובץ', key: 'FileName', width: 30 },    { header: 'עמודים', key: 'SourcePages', width: 10 },    { header: 'שם העסק', key: 'BusinessName', width: 25 },    { header: 'קטגוריה', key: 'Category', width: 18 },    { header: 'מספר עסק', key: 'BusinessNumber', width: 20 },    { header: 'תאריך', key: 'Date', width: 15 },    { header: 'מספר חשבונית', key: 'InvoiceNumber', width: 20 },    { header: 'סכום ללא מע"מ', key: 'PriceWithoutVat', width: 20 },    { header: 'מע"מ', key: 'VAT', width: 15 },    { header: 'סכום כולל', key: 'TotalPrice', width: 20 },    { header: 'סכום מקורי', key: 'OriginalTotal', width: 15 },    { header: 'מטבע מקור', key: 'OriginalCurrency', width: 10 },    { header: 'שער המרה', key: 'ExchangeRate', width: 12 },    { header: 'תאריך שער', key: 'ExchangeRateDate', width: 15 },    { header: 'הערות המרה', key: 'ExchangeRateNote', width: 40 },    { header: 'שיעור מע"מ', key: 'VatRate', width: 10 },    { header: 'הערות מע"מ', key: 'VatNotes', width: 40 },    { header: 'בדיקת מספר עסק', key: 'BusinessNumberNote', width: 25 },    { header: 'הערות פיצול', key: 'SplitNote', width: 40 },    { header: 'עובד בריצה קודמת', key: 'PreviousRun', width: 18 },    { header: 'מקור', key: 'Source', width: 14 },    { header: 'שולח', key: 'Sender', width: 30 },    { header: 'נושא המייל', key: 'EmailSubject', width: 40 },  ];
 
   worksheet.getRow(1).font = { bold: true, size: 12 };
   worksheet.getRow(1).alignment = { horizontal: 'center' };
@@ -654,12 +1029,9 @@ async function createExpenseExcel(expenses, folderPath, filePrefix, startDate, e
   let totalWithoutVat = 0;
   let totalVAT = 0;
   let totalPrice = 0;
-  let totalOriginalUSD = 0;
 
   expenses.forEach((expense) => {
-    const originalUSD = expense['OriginalTotalUSD']
-      ? parseFloat(expense['OriginalTotalUSD'])
-      : 0;
+    const isForeign = expense['OriginalCurrency'] && expense['OriginalCurrency'] !== 'ILS';
     const priceWithoutVatValue = expense['PriceWithoutVat']
       ? parseFloat(expense['PriceWithoutVat'])
       : 0;
@@ -668,22 +1040,73 @@ async function createExpenseExcel(expenses, folderPath, filePrefix, startDate, e
       ? parseFloat(expense['TotalPrice'])
       : 0;
 
-    totalOriginalUSD += originalUSD;
-    totalWithoutVat += priceWithoutVatValue;
-    totalVAT += vatValue;
-    totalPrice += totalPriceValue;
+    // Amounts left in a foreign currency can't be added to shekels
+    const unconverted = !isConvertedToShekels(expense);
+    if (!unconverted) {
+      totalWithoutVat += priceWithoutVatValue;
+      totalVAT += vatValue;
+      totalPrice += totalPriceValue;
+    }
 
-    worksheet.addRow({
+    const row = worksheet.addRow({
       FileName: expense['FileName'],
+      SourcePages: formatPages(expense['SourcePages']),
       BusinessName: expense['BusinessName'],
+      Category: expense['Category'] || UNCATEGORIZED,
       BusinessNumber: expense['BusinessNumber'],
       Date: expense['Date'],
       InvoiceNumber: expense['InvoiceNumber'],
-      OriginalTotalUSD: originalUSD > 0 ? originalUSD : '',
+      OriginalTotal: isForeign ? parseFloat(expense['OriginalTotal']) || '' : '',
+      OriginalCurrency: isForeign ? expense['OriginalCurrency'] : '',
+      ExchangeRate: isForeign ? expense['ExchangeRate'] : '',
+      ExchangeRateDate: isForeign ? expense['ExchangeRateDate'] : '',
+      ExchangeRateNote: expense['ExchangeRateNote'] || '',
       PriceWithoutVat: priceWithoutVatValue,
       VAT: vatValue,
       TotalPrice: totalPriceValue,
+      VatRate: expense['VatRate'] !== undefined ? expense['VatRate'] : '',
+      VatNotes: describeVatResult(expense),
+      BusinessNumberNote: describeBusinessNumber(expense),
+      SplitNote: expense['SplitNote'] || '',
+      PreviousRun: expense['PreviousRun'] || '',
+      Sender: (expense['Provenance'] && expense['Provenance'].sender) || '',
+      EmailSubject: (expense['Provenance'] && expense['Provenance'].subject) || '',
+    });
+
+    // Gmail receipts link back to their message
+    const provenance = expense['Provenance'];
+    if (provenance && provenance.permalink) {
+      row.getCell('Source').value = { text: sourceLabel(provenance), hyperlink: provenance.permalink };
+      row.getCell('Source').font = { color: { argb: 'FF0563C1' }, underline: true };
+    } else {
+      row.getCell('Source').value = sourceLabel(provenance);
+    }
+
+    (expense['VatFilled'] || []).forEach((field) => {
+      row.getCell(field).fill = COMPUTED_FILL;
+    });
+    (expense['VatIssues'] || []).forEach((issue) => {
+      row.getCell(issue.field).fill = FLAGGED_FILL;
     });
+    if (expense['BusinessNumberValid'] === false) {
+      row.getCell('BusinessNumber').fill = FLAGGED_FILL;
+    } else if (expense['BusinessNumberSource'] && expense['BusinessNumberSource'] !== 'extracted') {
+      row.getCell('BusinessNumber').fill = COMPUTED_FILL;
+    }
+    if (unconverted) {
+      ['PriceWithoutVat', 'VAT', 'TotalPrice'].forEach((field) => {
+        row.getCell(field).numFmt = '#,##0.00';
+        row.getCell(field).fill = FLAGGED_FILL;
+      });
+      row.getCell('ExchangeRateNote').fill = FLAGGED_FILL;
+    }
+    if (expense['SplitNote']) {
+      row.getCell('SplitNote').fill = FLAGGED_FILL;
+    }
+    if (expense['PreviousRun']) {
+      row.getCell('FileName').fill = PREVIOUS_RUN_FILL;
+      row.getCell('PreviousRun').fill = PREVIOUS_RUN_FILL;
+    }
   });
 
   const totalsRow = worksheet.addRow({
@@ -702,12 +1125,20 @@ async function createExpenseExcel(expenses, folderPath, filePrefix, startDate, e
   worksheet.getColumn('PriceWithoutVat').numFmt = '#,##0.00 ₪';
   worksheet.getColumn('VAT').numFmt = '#,##0.00 ₪';
   worksheet.getColumn('TotalPrice').numFmt = '#,##0.00 ₪';
-  worksheet.getColumn('OriginalTotalUSD').numFmt = '$#,##0.00';
+  worksheet.getColumn('OriginalTotal').numFmt = '#,##0.00';
+  worksheet.getColumn('ExchangeRate').numFmt = '0.0000';
+  worksheet.getColumn('VatRate').numFmt = '0%';
 
   worksheet.columns.forEach((column) => {
     column.alignment = { vertical: 'middle', horizontal: 'right' };
   });
 
+  addCategorySummarySheet(workbook, expenses);
+
+  if (duplicates.length > 0) {
+    addDuplicatesSheet(workbook, duplicates);
+  }
+
   try {
     await workbook.xlsx.writeFile(fullPath);
     console.log('Expense summary Excel file created at:', fullPath);
@@ -718,7 +1149,101 @@ async function createExpenseExcel(expenses, folderPath, filePrefix, startDate, e
   }
 }
 
-async function createZipFile(files, outputFolder, zipFileName) {
+// Totals per category (rows) and month (columns), with row and column totals
+function addCategorySummarySheet(workbook, expenses) {
+  const worksheet = workbook.addWorksheet('Categories', {
+    views: [{ rightToLeft: true }]
+  });
+
+  const totals = new Map();
+  const months = new Set();
+  expenses.filter(isConvertedToShekels).forEach((expense) => {
+    const category = expense['Category'] || UNCATEGORIZED;
+    const month = /^\d{4}-\d{2}/.test(expense['Date'] || '') ? expense['Date'].slice(0, 7) : 'ללא תאריך';
+    const amount = expense['TotalPrice'] ? parseFloat(expense['TotalPrice']) || 0 : 0;
+    months.add(month);
+    if (!totals.has(category)) totals.set(category, new Map());
+    const categoryTotals = totals.get(category);
+    categoryTotals.set(month, (categoryTotals.get(month) || 0) + amount);
+  });
+
+  const sortedMonths = [...months].sort();
+  worksheet.columns = [
+    { header: 'קטגוריה', key: 'Category', width: 20 },
+    ...sortedMonths.map((month) => ({ header: month, key: month, width: 14 })),
+    { header: 'סה"כ', key: 'Total', width: 16 },
+  ];
+  worksheet.getRow(1).font = { bold: true, size: 12 };
+  worksheet.getRow(1).alignment = { horizontal: 'center' };
+
+  const monthTotals = new Map();
+  let grandTotal = 0;
+  [...totals.keys()].sort().forEach((category) => {
+    const categoryTotals = totals.get(category);
+    const row = { Category: category, Total: 0 };
+    sortedMonths.forEach((month) => {
+      const amount = categoryTotals.get(month) || 0;
+      row[month] = amount;
+      row.Total += amount;
+      monthTotals.set(month, (monthTotals.get(month) || 0) + amount);
+    });
+    grandTotal += row.Total;
+    worksheet.addRow(row);
+  });
+
+  const totalsRow = worksheet.addRow({
+    Category: 'Total',
+    ...Object.fromEntries(monthTotals),
+    Total: grandTotal,
+  });
+  totalsRow.font = { bold: true };
+
+  worksheet.columns.forEach((column, index) => {
+    if (index > 0) column.numFmt = '#,##0.00 ₪';
+    column.alignment = { vertical: 'middle', horizontal: 'right' };
+  });
+}
+
+function addDuplicatesSheet(workbook, duplicates) {
+  const worksheet = workbook.addWorksheet('Duplicates', {
+    views: [{ rightToLeft: true }]
+  });
+
+  worksheet.columns = [
+    { header: 'שם הקובץ', key: 'FileName', width: 30 },
+    { header: 'כפילות של', key: 'DuplicateOf', width: 30 },
+    { header: 'סיבה', key: 'DuplicateReason', width: 20 },
+    { header: 'שם העסק', key: 'BusinessName', width: 25 },
+    { header: 'מספר עסק', key: 'BusinessNumber', width: 20 },
+    { header: 'תאריך', key: 'Date', width: 15 },
+    { header: 'מספר חשבונית', key: 'InvoiceNumber', width: 20 },
+    { header: 'סכום כולל', key: 'TotalPrice', width: 20 },
+  ];
+
+  worksheet.getRow(1).font = { bold: true, size: 12 };
+  worksheet.getRow(1).alignment = { horizontal: 'center' };
+
+  duplicates.forEach((duplicate) => {
+    worksheet.addRow({
+      FileName: duplicate['FileName'],
+      DuplicateOf: duplicate['DuplicateOf'],
+      DuplicateReason: duplicate['DuplicateReason'] === 'content' ? 'קובץ זהה' : 'אותה חשבונית',
+      BusinessName: duplicate['BusinessName'],
+      BusinessNumber: duplicate['BusinessNumber'],
+      Date: duplicate['Date'],
+      InvoiceNumber: duplicate['InvoiceNumber'],
+      TotalPrice: duplicate['TotalPrice'] ? parseFloat(duplicate['TotalPrice']) : '',
+    });
+  });
+
+  worksheet.getColumn('TotalPrice').numFmt = '#,##0.00 ₪';
+  worksheet.columns.forEach((column) => {
+    column.alignment = { vertical: 'middle', horizontal: 'right' };
+  });
+}
+
+// archiveNames maps a file path to its name inside the ZIP (default: its basename)
+async function createZipFile(files, outputFolder, zipFileName, archiveNames = new Map()) {
   return new Promise((resolve, reject) => {
     const zipFilePath = path.join(outputFolder, zipFileName);
     const output = fs.createWriteStream(zipFilePath);
@@ -739,7 +1264,7 @@ async function createZipFile(files, outputFolder, zipFileName) {
     archive.pipe(output);
 
     files.forEach((filePath) => {
-      const fileName = path.basename(filePath);
+      const fileName = archiveNames.get(filePath) || path.basename(filePath);
       archive.file(filePath, { name: fileName });
     });
 
@@ -747,56 +1272,253 @@ async function createZipFile(files, outputFolder, zipFileName) {
   });
 }
 
-async function processFile(filePath, serviceAccountAuth, idNumber) {
-  const ext = path.extname(filePath).toLowerCase();
-  const isPDF = ext === '.pdf';
-  let processedFilePath = filePath;
+// Runs processFile over the files with FILE_CONCURRENCY workers, keeping
+// progressData[i] in sync with files[i]. Resolves to { expenses, duplicates }:
+// the unique expenses in file order, and the receipts that repeat an earlier
+// one (same file content, or same extracted invoice). A split file can yield
+// several expenses.
+async function processFiles(files, progressData, emitProgress, { passwordValues, splitPages = false, provenance = new Map() }) {
+  const serviceAccountAuth = authenticateServiceAccount();
+  await serviceAccountAuth.authorize();
+
+  const contentDuplicateOf = await findContentDuplicates(files);
+  contentDuplicateOf.forEach((originalIndex, i) => {
+    if (originalIndex === -1) return;
+    markDuplicate(progressData[i], progressData[originalIndex]);
+  });
+  emitProgress();
 
-  if (isPDF) {
+  const results = await mapWithConcurrency(files, FILE_CONCURRENCY, async (filePath, i) => {
+    if (contentDuplicateOf[i] !== -1) return null;
+
+    progressData[i].status = 'Processing';
+    progressData[i].progress = 25;
+    emitProgress();
+
+    let fileExpenses = [];
     try {
-      const encrypted = await isPdfEncrypted(filePath);
-      if (encrypted) {
-        console.log('PDF is encrypted. Attempting to unlock:', filePath);
-        const password = idNumber || PASSWORD_PROTECTED_PDF_PASSWORD;
-        const unlockedPath = await unlockPdf(filePath, password);
-        if (unlockedPath) {
-          fs.copyFileSync(unlockedPath, filePath);
-          fs.unlinkSync(unlockedPath);
-          console.log('PDF unlocked and overwritten:', filePath);
-          processedFilePath = filePath;
-        } else {
-          console.log('Failed to unlock PDF:', filePath);
-          return null;
-        }
-      } else {
-        console.log('PDF is not encrypted:', filePath);
+      const fileProvenance = provenance.get(filePath);
+      fileExpenses = await processFile(
+        filePath,
+        serviceAccountAuth,
+        { values: passwordValues, sender: fileProvenance && fileProvenance.sender },
+        { splitPages, provenance: fileProvenance }
+      );
+    } catch (fileError) {
+      if (fileError.code !== 'PDF_LOCKED') throw fileError;
+      progressData[i].locked = true;
+      progressData[i].error = fileError.message;
+    }
+
+    if (fileExpenses.length > 0) {
+      // Shekels first, then each currency left unconverted: "120.00 + 50.00 INR"
+      const totals = new Map();
+      fileExpenses.forEach((expense) => {
+        const currency = isConvertedToShekels(expense) ? '' : expense.Currency;
+        totals.set(currency, (totals.get(currency) || 0) + (parseFloat(expense.TotalPrice) || 0));
+      });
+      const totalPrice = [...totals]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([currency, amount]) => `${amount.toFixed(2)}${currency ? ` ${currency}` : ''}`)
+        .join(' + ');
+      progressData[i].status = 'Completed';
+      progressData[i].progress = 100;
+      progressData[i].businessName =
+        fileExpenses.map((expense) => expense.BusinessName || 'N/A').join(', ');
+      progressData[i].date = fileExpenses[0].Date || 'N/A';
+      progressData[i].totalPrice = fileExpenses.some((expense) => expense.TotalPrice)
+        ? totalPrice
+        : 'N/A';
+      if (fileExpenses.length > 1) {
+        progressData[i].receiptCount = fileExpenses.length;
       }
-    } catch (error) {
-      console.error('Error processing PDF:', filePath, error);
-      return null;
+    } else {
+      progressData[i].status = progressData[i].locked ? 'Locked' : 'Failed';
+      progressData[i].error = progressData[i].error || 'No expense data could be extracted';
+      progressData[i].progress = 100;
     }
-  } else {
-    console.log('File is an image:', filePath);
-  }
 
-  const expenseData = await parseReceiptWithDocumentAI(processedFilePath, serviceAccountAuth);
-  return expenseData;
-}
+    emitProgress();
+    return fileExpenses;
+  });
+
+  // Invoice duplicates are looked for across every extracted receipt
+  const extracted = [];
+  results.forEach((fileExpenses, fileIndex) => {
+    (fileExpenses || []).forEach((expense) => extracted.push({ fileIndex, expense }));
+  });
+  const invoiceDuplicateOf = findInvoiceDuplicates(extracted.map((entry) => entry.expense));
+  const expenses = [];
+  const duplicates = [];
+
+  files.forEach((filePath, i) => {
+    const originalIndex = contentDuplicateOf[i];
+    if (originalIndex !== -1) {
+      // A byte-identical copy was never processed, so it takes the original's data
+      const originalExpenses = results[originalIndex] && results[originalIndex].length
+        ? results[originalIndex]
+        : [{}];
+      originalExpenses.forEach((expense) => {
+        duplicates.push({
+          ...expense,
+          FileName: path.basename(filePath),
+          Provenance: provenance.get(filePath),
+          DuplicateOf: progressData[originalIndex].fileName,
+          DuplicateReason: 'content',
+        });
+      });
+      return;
+    }
+
+    const fileEntries = extracted
+      .map((entry, index) => ({ ...entry, index }))
+      .filter((entry) => entry.fileIndex === i);
+    fileEntries.forEach(({ expense, index }) => {
+      if (invoiceDuplicateOf[index] === -1) {
+        expenses.push(expense);
+        return;
+      }
+      duplicates.push({
+        ...expense,
+        DuplicateOf: progressData[extracted[invoiceDuplicateOf[index]].fileIndex].fileName,
+        DuplicateReason: 'invoice',
+      });
+    });
+
+    // The file as a whole is a duplicate when every receipt in it is
+    if (fileEntries.length > 0 && fileEntries.every(({ index }) => invoiceDuplicateOf[index] !== -1)) {
+      markDuplicate(
+        progressData[i],
+        progressData[extracted[invoiceDuplicateOf[fileEntries[0].index]].fileIndex]
+      );
+    }
+  });
+
+  if (duplicates.length > 0) {
+    emitProgress();
+  }
+
+  return { expenses, duplicates };
+}
+
+function markDuplicate(progressItem, originalItem) {
+  progressItem.status = 'Duplicate';
+  progressItem.duplicateOf = originalItem.fileName;
+  progressItem.progress = 100;
+}
+
+// Per-file outcome kept on the job, so API clients can see which files failed
+function getFileResults(progressData) {
+  return progressData.map((item) => ({
+    fileName: item.fileName,
+    status: item.status,
+    error: item.status === 'Failed' || item.status === 'Locked' ? item.error || null : null,
+    duplicateOf: item.duplicateOf || null,
+  }));
+}
+
+// passwordOptions: { values: { idNumber, customerNumber, phoneNumber, extraPasswords }, sender }
+// Resolves to the expenses extracted from the file: one, or with splitPages one
+// per receipt in a multi-page file, each with SourcePages (1-based page numbers).
+// Rejects with code PDF_LOCKED when no candidate password opens an encrypted PDF.
+// provenance is the file's record from lib/provenance, set on every expense
+async function processFile(filePath, serviceAccountAuth, passwordOptions = {}, { splitPages = false, provenance } = {}) {
+  const ext = path.extname(filePath).toLowerCase();
+  const isPDF = ext === '.pdf';
+  let processedFilePath = filePath;
+
+  if (isPDF) {
+    let unlocked = true;
+    try {
+      const encrypted = await isPdfEncrypted(filePath);
+      if (encrypted) {
+        console.log('PDF is encrypted. Attempting to unlock:', filePath);
+        const passwords = getPdfPasswordCandidates(
+          passwordOptions.values || {},
+          passwordOptions.sender
+        );
+        const explicitPasswords = getPdfPasswordCandidates(
+          passwordOptions.values || {},
+          passwordOptions.sender,
+          { explicitOnly: true }
+        );
+        const unlockedPath = await unlockPdf(filePath, passwords, explicitPasswords);
+        if (unlockedPath) {
+          fs.copyFileSync(unlockedPath, filePath);
+          fs.unlinkSync(unlockedPath);
+          console.log('PDF unlocked and overwritten:', filePath);
+          processedFilePath = filePath;
+        } else {
+          console.log(`Failed to unlock PDF after ${passwords.length} password(s):`, filePath);
+          unlocked = false;
+        }
+      } else {
+        console.log('PDF is not encrypted:', filePath);
+      }
+    } catch (error) {
+      console.error('Error processing PDF:', filePath, error);
+      return [];
+    }
+
+    if (!unlocked) {
+      const lockedError = new Error(`Could not unlock ${path.basename(filePath)}`);
+      lockedError.code = 'PDF_LOCKED';
+      throw lockedError;
+    }
+  } else {
+    console.log('File is an image:', filePath);
+  }
+
+  const units = splitPages
+    ? await splitDocument(processedFilePath, { maxPages: MAX_SPLIT_PAGES })
+    : [{ filePath: processedFilePath, pages: null }];
+
+  if (units.length === 1) {
+    const expenseData = await parseReceiptWithDocumentAI(processedFilePath, serviceAccountAuth);
+    if (!expenseData) return [];
+    if (!expenseData.FileName) return [expenseData];
+    return [validateVat({ ...expenseData, Provenance: provenance }, { tolerance: VAT_TOLERANCE })];
+  }
+
+  const pageResults = [];
+  try {
+    for (const unit of units) {
+      const expense = await parseReceiptWithDocumentAI(unit.filePath, serviceAccountAuth);
+      pageResults.push({ pages: unit.pages, expense });
+    }
+  } finally {
+    await removeUnitFiles(processedFilePath);
+  }
+
+  return mergeReceiptPages(pageResults).map(({ pages, expense }) =>
+    validateVat(
+      { ...expense, FileName: path.basename(filePath), SourcePages: pages, Provenance: provenance },
+      { tolerance: VAT_TOLERANCE }
+    )
+  );
+}
 
 fs.ensureDirSync(INPUT_FOLDER);
 
+// Every submission is its own job with its own folder, so one session can run
+// several jobs side by side.
+function assignJob(req, res, next) {
+  if (!req.session.sessionId) {
+    req.session.sessionId = uuidv4();
+  }
+  req.jobId = uuidv4();
+  req.jobFolder = path.join(INPUT_FOLDER, req.session.sessionId, req.jobId);
+  next();
+}
+
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
-    if (!req.session.sessionId) {
-      req.session.sessionId = uuidv4();
-    }
-    const userFolder = path.join(INPUT_FOLDER, req.session.sessionId);
-    fs.ensureDirSync(userFolder);
-    cb(null, userFolder);
+    fs.ensureDirSync(req.jobFolder);
+    cb(null, req.jobFolder);
   },
   filename: function (req, file, cb) {
-    const sanitized = sanitize(file.originalname) || 'unnamed_attachment';
-    cb(null, sanitized);
+    req.uploadNames = req.uploadNames || new Set();
+    cb(null, uniqueFileName(req.jobFolder, file.originalname, req.uploadNames));
   },
 });
 
@@ -821,51 +1543,114 @@ app.get('/', (req, res) => {
 });
 
 
-app.post('/upload', upload, async (req, res) => {
-  if (!req.session.sessionId) {
-    req.session.sessionId = uuidv4();
-  }
-  const sessionId = req.session.sessionId;
-  const userFolder = path.join(INPUT_FOLDER, sessionId);
+// Creates a job for the files `upload` stored in req.jobFolder and queues it.
+// owner is { sessionId } for the web pages or { apiClient } for the API.
+function enqueueUploadJob(req, owner) {
+  const userFolder = req.jobFolder;
   fs.ensureDirSync(userFolder);
+  const passwordValues = getPasswordValues(req.body);
 
-  const progressEmitter = new EventEmitter();
-  progressEmitters.set(sessionId, progressEmitter);
-
-  res.json({ sessionId });
+  const job = jobStore.create({
+    id: req.jobId,
+    type: 'upload',
+    sessionId: null,
+    ...owner,
+    userFolder,
+    cleanupPaths: [userFolder],
+    inputs: {
+      files: req.files ? req.files.map((file) => file.path) : [],
+      name: req.body.name || '',
+      hasPdfPasswords: hasPasswordValues(passwordValues),
+      // The emailed /jobs links need the browser session, so API clients get none
+      email: owner.sessionId ? req.body.email || '' : '',
+      naming: getNamingOptions(req.body),
+      splitPages: getSplitPages(req.body),
+      // Reviewing needs the web page, so API jobs always run straight through
+      review: Boolean(owner.sessionId && req.body.reviewMode),
+    },
+  });
 
+  const progressEmitter = createProgressEmitter(job.id);
   const task = {
-    sessionId,
+    jobId: job.id,
+    sessionId: job.sessionId,
     userFolder,
-    files: req.files ? req.files.map((file) => file.path) : [],
-    name: req.body.name || '',
-    idNumber: req.body.idNumber || '',
-    email: req.body.email || '',
+    ...job.inputs,
+    passwordValues,
     progressEmitter,
     req,
   };
 
   taskQueue.push(task);
 
-  if (isProcessing) {
-    const queuePosition = getQueuePosition(taskQueue, sessionId);
+  processNextTask();
+
+  const queuePosition = getQueuePosition(taskQueue, job.id);
+  if (queuePosition > 0) {
     progressEmitter.emit('progress', [
       { status: `המשימה שלך בתור במקום ${queuePosition}. העיבוד יתחיל בקרוב.`, progress: 0, queuePosition },
     ]);
-  } else {
-    processNextTask();
   }
-});
+  return job;
+}
 
-app.get('/upload-progress', (req, res) => {
+app.post('/upload', assignJob, upload, async (req, res) => {
   const sessionId = req.session.sessionId;
-  const progressEmitter = progressEmitters.get(sessionId);
+  const job = enqueueUploadJob(req, { sessionId });
+  res.json({ sessionId, jobId: job.id });
+});
 
-  if (!progressEmitter) {
-    res.status(404).end();
-    return;
+function serializeJob(job) {
+  const queue = job.type === 'gmail' ? gmailTaskQueue : taskQueue;
+  const { excelUrl, zipUrl, receiptsPdfUrl, openFormatUrl } = job.artifacts || {};
+  return {
+    id: job.id,
+    type: job.type,
+    state: job.state,
+    queuePosition: job.state === 'queued' ? getQueuePosition(queue, job.id) : 0,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt || null,
+    finishedAt: job.finishedAt || null,
+    expiresAt: job.expiresAt || null,
+    error: job.error || null,
+    progress: job.progress || [],
+    progressEventId: job.progressEventId || 0,
+    previewUrl: job.state === 'preview' ? `/jobs/${job.id}/preview` : null,
+    reviewUrl: job.state === 'review' ? `/jobs/${job.id}/review` : null,
+    downloadLinks: [
+      excelUrl && { label: 'הורד קובץ אקסל', url: excelUrl },
+      zipUrl && { label: 'הורד קבצים מעובדים (ZIP)', url: zipUrl },
+      receiptsPdfUrl && { label: 'הורד קובץ PDF מאוחד', url: receiptsPdfUrl },
+      openFormatUrl && { label: 'הורד קובץ במבנה אחיד', url: openFormatUrl },
+    ].filter(Boolean),
+  };
+}
+
+// Jobs are only visible to the session that created them.
+function getSessionJob(req, jobId) {
+  const job = jobStore.get(jobId);
+  if (!job || !req.session.sessionId || job.sessionId !== req.session.sessionId) {
+    return null;
+  }
+  return job;
+}
+
+function latestSessionJob(req, type) {
+  const jobs = jobStore.list((job) => job.sessionId === req.session.sessionId && job.type === type);
+  return jobs[jobs.length - 1] || null;
+}
+
+function writeJobEvent(res, event) {
+  if (event.type === 'done') {
+    res.write('event: done\ndata: {}\n\n');
+  } else {
+    res.write(`id: ${event.id}\ndata: ${JSON.stringify(event.data)}\n\n`);
   }
+}
 
+// On connect the latest snapshot is replayed unless the client already has it
+// (Last-Event-ID), so a refresh or a dropped connection picks up the run.
+function streamJobProgress(req, res, jobId) {
   req.setTimeout(0);
   res.setTimeout(0);
 
@@ -873,23 +1658,284 @@ app.get('/upload-progress', (req, res) => {
   res.setHeader('Cache-Control', 'no-cache');
   res.flushHeaders();
 
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10) || 0;
+  const job = jobStore.get(jobId);
+  if (job.progress && job.progressEventId > lastEventId) {
+    writeJobEvent(res, { type: 'progress', id: job.progressEventId, data: job.progress });
+  }
+  if (isJobFinished(job)) {
+    writeJobEvent(res, { type: 'done' });
+  }
+
   const heartbeatInterval = setInterval(() => {
     res.write(':\n\n');
   }, 30000);
 
-  const onProgress = (data) => {
-    res.write(`data: ${JSON.stringify(data)}\n\n`);
+  const onUpdate = (event) => {
+    writeJobEvent(res, event);
   };
 
-  progressEmitter.on('progress', onProgress);
+  jobUpdates.on(jobId, onUpdate);
 
   req.on('close', () => {
-    progressEmitter.removeListener('progress', onProgress);
+    jobUpdates.removeListener(jobId, onUpdate);
     clearInterval(heartbeatInterval);
-    progressEmitters.delete(sessionId);
   });
+}
+
+app.get('/jobs', (req, res) => {
+  const jobs = req.session.sessionId
+    ? jobStore.list((job) => job.sessionId === req.session.sessionId)
+    : [];
+  res.json(jobs.map(serializeJob));
+});
+
+app.get('/jobs/:id', (req, res) => {
+  const job = getSessionJob(req, req.params.id);
+  if (!job) {
+    res.status(404).json({ error: 'Job not found.' });
+    return;
+  }
+  res.json(serializeJob(job));
 });
 
+app.get('/jobs/:id/events', (req, res) => {
+  const job = getSessionJob(req, req.params.id);
+  if (!job) {
+    res.status(404).end();
+    return;
+  }
+  streamJobProgress(req, res, job.id);
+});
+
+app.get('/jobs/:id/download/:filename', (req, res) => {
+  const job = getSessionJob(req, req.params.id);
+  const decodedFilename = path.basename(decodeURIComponent(req.params.filename));
+  const filePath = job ? path.join(job.userFolder, decodedFilename) : null;
+
+  if (!filePath || !fs.existsSync(filePath)) {
+    res.status(404).send('File not found. The file may have expired and been deleted.');
+    return;
+  }
+  sendDownload(res, filePath, decodedFilename);
+});
+
+const REVIEW_AMOUNT_FIELDS = ['PriceWithoutVat', 'VAT', 'TotalPrice'];
+
+// Fields the review page may change; everything else comes from extraction
+const REVIEW_FIELDS = [
+  'BusinessName',
+  'Category',
+  'BusinessNumber',
+  'Date',
+  'InvoiceNumber',
+  'PriceWithoutVat',
+  'VAT',
+  'TotalPrice',
+];
+
+// Applies the submitted rows to the stored review rows and runs the business
+// number and VAT checks again on the corrected values. Rows without an id were
+// added by hand.
+function buildReviewedExpenses(job, submittedRows) {
+  const expenses = [];
+  for (const submitted of submittedRows) {
+    if (!submitted || !submitted.included) continue;
+    const original = Number.isInteger(submitted.id) ? job.reviewRows[submitted.id] : null;
+    const {
+      included,
+      extractionFailed,
+      VatFilled,
+      VatIssues,
+      VatRate,
+      BusinessNumberValid,
+      BusinessNumberSource,
+      ...expense
+    } = original || {};
+
+    REVIEW_FIELDS.forEach((field) => {
+      if (submitted[field] === undefined || submitted[field] === null) return;
+      const value = String(submitted[field]).trim();
+      // "1,234.50" as typed on the page
+      expense[field] = REVIEW_AMOUNT_FIELDS.includes(field) && value !== '' ? cleanAndParseAmount(value) : value;
+    });
+    expense.FileName = expense.FileName || 'הוזן ידנית';
+    expense.Currency = expense.Currency || 'ILS';
+    expense.OriginalCurrency = expense.OriginalCurrency || 'ILS';
+
+    Object.assign(expense, resolveBusinessNumber(expense.BusinessNumber));
+    if (!expense.Category) {
+      expense.Category = categorizeExpense(expense, '', loadCategoryRules(CATEGORY_RULES_FILE));
+    }
+    expenses.push(validateVat(expense, { tolerance: VAT_TOLERANCE }));
+  }
+  return expenses;
+}
+
+app.get('/jobs/:id/review', (req, res) => {
+  const job = getSessionJob(req, req.params.id);
+  if (!job || job.state !== 'review') {
+    res.status(404).send('Nothing to review. The job may have been finalized or expired.');
+    return;
+  }
+  res.render('review', {
+    jobId: job.id,
+    // Embedded in a <script>; keep "</script>" in a field from closing it
+    rowsJson: JSON.stringify(job.reviewRows).replace(/</g, '\\u003c'),
+    categories: [
+      ...new Set([...loadCategoryRules(CATEGORY_RULES_FILE).map((rule) => rule.category), UNCATEGORIZED]),
+    ],
+  });
+});
+
+// Receipt preview for the review page
+app.get('/jobs/:id/files/:filename', (req, res) => {
+  const job = getSessionJob(req, req.params.id);
+  const fileName = path.basename(decodeURIComponent(req.params.filename));
+  const filePath = job && (job.sourceFiles || []).find((file) => path.basename(file) === fileName);
+
+  if (!filePath || !fs.existsSync(filePath)) {
+    res.status(404).send('File not found. The file may have expired and been deleted.');
+    return;
+  }
+  res.sendFile(path.resolve(filePath));
+});
+
+app.post('/jobs/:id/finalize', async (req, res) => {
+  const job = getSessionJob(req, req.params.id);
+  if (!job || job.state !== 'review') {
+    res.status(404).json({ error: 'Nothing to finalize. The job may have been finalized or expired.' });
+    return;
+  }
+  if (!Array.isArray(req.body.rows)) {
+    res.status(400).json({ error: 'rows must be an array.' });
+    return;
+  }
+
+  // Malformed rows are turned down while the job is still in review
+  let expenses;
+  try {
+    expenses = buildReviewedExpenses(job, req.body.rows);
+  } catch (error) {
+    console.error('Error reading the reviewed rows:', error.message);
+    res.status(400).json({ error: `Invalid rows: ${error.message}` });
+    return;
+  }
+
+  // Leaving 'review' right away also stops a second Finalize click
+  jobStore.update(job.id, { state: 'running' });
+  const progressEmitter = createProgressEmitter(job.id);
+  // Files of excluded rows are left out of the ZIP and the merged PDF
+  const includedNames = new Set(
+    [...expenses, ...(job.duplicates || [])].map((expense) => expense.FileName)
+  );
+  const jobResult = { state: 'completed', error: null, expenses };
+
+  try {
+    jobResult.artifacts = await generateJobOutputs(
+      job,
+      {
+        files: job.sourceFiles.filter((filePath) => includedNames.has(path.basename(filePath))),
+        expenses,
+        duplicates: job.duplicates || [],
+        progressItems: job.reviewProgressItems || [],
+      },
+      { progressEmitter, req }
+    );
+  } catch (error) {
+    console.error('Error finalizing job:', error.message);
+    // Back to review, so the page can submit its edits again
+    jobStore.update(job.id, { state: 'review', error: error.message });
+    progressEmitter.emit('progress', [
+      ...(job.reviewProgressItems || []),
+      { status: `Processing Error: ${error.message}`, progress: 100, reviewUrl: `/jobs/${job.id}/review` },
+    ]);
+    res.status(500).json({ error: error.message });
+    return;
+  }
+
+  finishJob(job.id, jobResult);
+  // The download links get the full retention period from now
+  jobStore.update(job.id, { expiresAt: null });
+  scheduleJobCleanup(job.id, FILE_RETENTION_MS);
+
+  res.json(serializeJob(jobStore.get(job.id)));
+});
+
+app.get('/jobs/:id/preview', (req, res) => {
+  const job = getSessionJob(req, req.params.id);
+  if (!job || job.state !== 'preview') {
+    res.status(404).send('Nothing to choose. The job may have continued or expired.');
+    return;
+  }
+  res.render('gmail-preview', {
+    jobId: job.id,
+    // Embedded in a <script>; keep "</script>" in a subject from closing it
+    candidatesJson: JSON.stringify(job.gmailCandidates || []).replace(/</g, '\\u003c'),
+  });
+});
+
+// Continues a Gmail job paused for preview with the candidates the user
+// picked, which may include ones the rules skipped
+app.post('/jobs/:id/preview', requireGmailSession, (req, res) => {
+  const job = getSessionJob(req, req.params.id);
+  const pausedTask = job && pausedGmailTasks.get(job.id);
+  if (!pausedTask || job.state !== 'preview') {
+    res.status(404).json({ error: 'Nothing to continue. The job may have continued or expired.' });
+    return;
+  }
+  if (!Array.isArray(req.body.selected)) {
+    res.status(400).json({ error: 'selected must be an array.' });
+    return;
+  }
+
+  const selectedIds = new Set(req.body.selected.map(String));
+  pausedGmailTasks.delete(job.id);
+
+  // Leaving 'preview' right away also stops a second Continue click
+  jobStore.update(job.id, { state: 'queued', finishedAt: null });
+  gmailTaskQueue.push({
+    ...pausedTask,
+    selectedCandidates: (job.gmailCandidates || []).filter((candidate) => selectedIds.has(candidate.id)),
+    progressEmitter: createProgressEmitter(job.id),
+    req,
+  });
+  processNextGmailTask();
+
+  res.json(serializeJob(jobStore.get(job.id)));
+});
+
+// Older pages follow the session's most recent job of each kind.
+app.get('/upload-progress', (req, res) => {
+  const job = latestSessionJob(req, 'upload');
+  if (!job) {
+    res.status(404).end();
+    return;
+  }
+  streamJobProgress(req, res, job.id);
+});
+
+function sendDownload(res, filePath, fileName) {
+  const ext = path.extname(filePath).toLowerCase();
+  let contentType;
+  if (ext === '.xlsx') {
+    contentType = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+  } else if (ext === '.zip') {
+    contentType = 'application/zip';
+  } else if (ext === '.pdf') {
+    contentType = 'application/pdf';
+  } else {
+    contentType = 'application/octet-stream';
+  }
+  res.setHeader('Content-Type', contentType);
+  res.download(filePath, fileName, (err) => {
+    if (err) {
+      console.error('Download Error:', err.message);
+      res.status(500).send('Error downloading the file.');
+    }
+  });
+}
+
 app.get('/download/:filename', (req, res) => {
   const { filename } = req.params;
   const decodedFilename = decodeURIComponent(filename);
@@ -923,29 +1969,23 @@ app.get('/download/:filename', (req, res) => {
   const filePath = findFile(userFolder);
 
   if (filePath && fs.existsSync(filePath)) {
-    const ext = path.extname(filePath).toLowerCase();
-    let contentType;
-    if (ext === '.xlsx') {
-      contentType = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
-    } else if (ext === '.zip') {
-      contentType = 'application/zip';
-    } else {
-      contentType = 'application/octet-stream';
-    }
-    res.setHeader('Content-Type', contentType);
-    res.download(filePath, decodedFilename, (err) => {
-      if (err) {
-        console.error('Download Error:', err.message);
-        res.status(500).send('Error downloading the file.');
-      }
-    });
+    sendDownload(res, filePath, decodedFilename);
   } else {
     res.status(404).send('File not found. The file may have expired and been deleted.');
   }
 });
 
+// Tokens from before labels were turned on lack the modify scope and are
+// replaced by signing in again
+function hasGmailScopes(tokens) {
+  if (!tokens) return false;
+  if (!tokens.scope) return true;
+  const granted = tokens.scope.split(' ');
+  return GMAIL_SCOPES.every((scope) => granted.includes(scope));
+}
+
 app.get('/is-authenticated', (req, res) => {
-  if (req.session.tokens) {
+  if (hasGmailScopes(req.session.tokens)) {
     res.json({ authenticated: true });
   } else {
     res.json({ authenticated: false });
@@ -959,7 +1999,7 @@ function authenticateGmail(req, res, next) {
     process.env.GMAIL_REDIRECT_URI
   );
 
-  if (req.session.tokens) {
+  if (hasGmailScopes(req.session.tokens)) {
     oAuth2Client.setCredentials(req.session.tokens);
 
     oAuth2Client.on('tokens', (tokens) => {
@@ -976,6 +2016,31 @@ function authenticateGmail(req, res, next) {
   }
 }
 
+// { emailAddress, historyId } of the signed-in mailbox, or {} on failure
+async function fetchGmailProfile(auth) {
+  try {
+    const gmail = google.gmail({ version: 'v1', auth });
+    const profile = await gmail.users.getProfile({ userId: 'me' });
+    return profile.data || {};
+  } catch (error) {
+    console.error('Error fetching Gmail profile:', error.message);
+    return {};
+  }
+}
+
+// The signed-in address, which the Gmail rules are kept under
+async function fetchGmailAccount(auth) {
+  return (await fetchGmailProfile(auth)).emailAddress || null;
+}
+
+// Sessions signed in before the account was recorded look it up once
+async function getGmailAccount(req) {
+  if (!req.session.gmailAccount && req.oAuth2Client) {
+    req.session.gmailAccount = await fetchGmailAccount(req.oAuth2Client);
+  }
+  return req.session.gmailAccount || null;
+}
+
 app.get('/start-gmail-auth', (req, res) => {
   const oAuth2Client = new google.auth.OAuth2(
     process.env.GMAIL_CLIENT_ID,
@@ -985,7 +2050,7 @@ app.get('/start-gmail-auth', (req, res) => {
 
   const authUrl = oAuth2Client.generateAuthUrl({
     access_type: 'offline',
-    scope: ['https://www.googleapis.com/auth/gmail.readonly'],
+    scope: GMAIL_SCOPES,
     prompt: 'consent',
   });
 
@@ -1008,6 +2073,7 @@ app.get('/oauth2callback', async (req, res) => {
     const { tokens } = await oAuth2Client.getToken(code);
     oAuth2Client.setCredentials(tokens);
     req.session.tokens = tokens;
+    req.session.gmailAccount = await fetchGmailAccount(oAuth2Client);
     res.redirect('/gmail');
   } catch (error) {
     console.error('Error retrieving access token', error);
@@ -1023,107 +2089,161 @@ app.get('/gmail', authenticateGmail, (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'gmail.html'));
 });
 
-app.post('/process-gmail', authenticateGmail, additionalUpload, (req, res) => {
-  if (!req.session.sessionId) {
-    req.session.sessionId = uuidv4();
-  }
+app.post('/process-gmail', authenticateGmail, assignJob, additionalUpload, (req, res) => {
   const sessionId = req.session.sessionId;
-  const userFolder = path.join(INPUT_FOLDER, sessionId);
+  const userFolder = req.jobFolder;
   fs.ensureDirSync(userFolder);
   const additionalFiles = req.files ? req.files.map(file => file.path) : [];
-  const progressEmitter = new EventEmitter();
-  progressEmitters.set(sessionId, progressEmitter);
+  const passwordValues = getPasswordValues(req.body);
+
+  const job = jobStore.create({
+    id: req.jobId,
+    type: 'gmail',
+    sessionId,
+    userFolder,
+    cleanupPaths: [userFolder, ...additionalFiles],
+    inputs: {
+      startDate: req.body.startDate,
+      endDate: req.body.endDate,
+      hasPdfPasswords: hasPasswordValues(passwordValues),
+      email: req.body.email || '',
+      naming: getNamingOptions(req.body),
+      splitPages: getSplitPages(req.body),
+      emailBodies: getEmailBodies(req.body),
+      newOnly: getNewOnly(req.body),
+      preview: getPreview(req.body),
+      additionalFiles,
+      review: Boolean(req.body.reviewMode),
+    },
+  });
 
+  const progressEmitter = createProgressEmitter(job.id);
   const task = {
+    jobId: job.id,
     sessionId,
     userFolder,
-    startDate: req.body.startDate,
-    endDate: req.body.endDate,
-    idNumber: req.body.idNumber || '',
-    email: req.body.email || '',
+    ...job.inputs,
+    passwordValues,
     progressEmitter,
-    additionalFiles,
     req,
   };
 
   gmailTaskQueue.push(task);
 
-  if (isGmailProcessing) {
-    const queuePosition = getQueuePosition(gmailTaskQueue, sessionId);
+  processNextGmailTask();
+
+  const queuePosition = getQueuePosition(gmailTaskQueue, job.id);
+  if (queuePosition > 0) {
     progressEmitter.emit('progress', [
       { status: `Your task is in a queue at position ${queuePosition}.`, progress: 0, queuePosition },
     ]);
-  } else {
-    processNextGmailTask();
   }
 
-  res.json({ sessionId });
+  res.json({ sessionId, jobId: job.id });
 });
 
 app.get('/gmail-progress', (req, res) => {
-  const sessionId = req.session.sessionId;
-  const progressEmitter = progressEmitters.get(sessionId);
-
-  if (!progressEmitter) {
+  const job = latestSessionJob(req, 'gmail');
+  if (!job) {
     res.status(404).end();
     return;
   }
-
-  req.setTimeout(0);
-  res.setTimeout(0);
-
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.flushHeaders();
-
-  const heartbeatInterval = setInterval(() => {
-    res.write(':\n\n');
-  }, 30000);
-
-  const onProgress = (data) => {
-    res.write(`data: ${JSON.stringify(data)}\n\n`);
-  };
-
-  progressEmitter.on('progress', onProgress);
-
-  req.on('close', () => {
-    progressEmitter.removeListener('progress', onProgress);
-    clearInterval(heartbeatInterval);
-    progressEmitters.delete(sessionId);
-  });
+  streamJobProgress(req, res, job.id);
 });
 
-async function processNextGmailTask() {
-  if (gmailTaskQueue.length === 0) {
-    isGmailProcessing = false;
-    return;
+function processNextGmailTask() {
+  while (activeGmailTaskCount < JOB_CONCURRENCY && gmailTaskQueue.length > 0) {
+    const task = gmailTaskQueue.shift();
+    activeGmailTaskCount++;
+    runGmailTask(task).finally(() => {
+      activeGmailTaskCount--;
+      processNextGmailTask();
+    });
   }
+}
 
-  isGmailProcessing = true;
-  const task = gmailTaskQueue.shift();
+async function runGmailTask(task) {
   const {
+    jobId,
     sessionId,
     userFolder,
     startDate,
     endDate,
-    idNumber,
-    email,
+    passwordValues,
+    splitPages,
+    emailBodies,
+    newOnly,
+    preview,
+    selectedCandidates,
+    review,
     progressEmitter,
     req,
     additionalFiles,
   } = task;
+  let jobResult = { state: 'completed' };
 
   try {
+    jobStore.update(jobId, { state: 'running', startedAt: new Date().toISOString() });
     progressEmitter.emit('progress', [
       { status: 'Processing started.', progress: 0 },
     ]);
 
     const auth = req.oAuth2Client;
-    const customPrefix = 'סיכום הוצאות';
-
-    progressEmitter.emit('progress', [{ status: 'Downloading Gmail attachments...', progress: 10 }]);
+    const gmailAccount = await getGmailAccount(req);
+    const gmailRules = loadGmailRules(gmailRulesFile(GMAIL_RULES_FOLDER, gmailAccount));
+    const syncFile = gmailSyncFile(GMAIL_SYNC_FOLDER, gmailAccount);
+    // A job resumed from the preview keeps the history ID from before its search
+    const historyId = task.historyId || (await fetchGmailProfile(auth)).historyId;
+    const sync = { state: loadSyncState(syncFile), newOnly };
+    const onGmailProgress = ({ stage, done, total, skipped = 0 }) => {
+      const skippedNote = skipped > 0 ? `, ${skipped} skipped` : '';
+      progressEmitter.emit('progress', [
+        {
+          status: `${GMAIL_PROGRESS_LABELS[stage]} (${done}/${total}${skippedNote})...`,
+          progress: Math.round((done / total) * 100),
+        },
+      ]);
+    };
 
-    await downloadGmailAttachments(auth, new Date(startDate), new Date(endDate), userFolder);
+    let savedAttachments;
+    if (selectedCandidates) {
+      progressEmitter.emit('progress', [
+        { status: 'Downloading the selected Gmail attachments...', progress: 0 },
+      ]);
+      savedAttachments = await downloadGmailCandidates(auth, selectedCandidates, userFolder, {
+        sync,
+        payloads: task.gmailPayloads,
+        userSelected: true,
+        account: gmailAccount,
+        onProgress: onGmailProgress,
+      });
+    } else if (preview) {
+      progressEmitter.emit('progress', [{ status: 'Searching Gmail...', progress: 0 }]);
+      const { candidates, payloads } = await findGmailCandidates(
+        auth,
+        new Date(startDate),
+        new Date(endDate),
+        { rules: gmailRules, emailBodies, sync, listRejected: true, onProgress: onGmailProgress }
+      );
+      pausedGmailTasks.set(jobId, { ...task, historyId, gmailPayloads: payloads });
+      jobResult = pauseForPreview(jobId, { candidates }, progressEmitter);
+      return;
+    } else {
+      progressEmitter.emit('progress', [{ status: 'Searching Gmail...', progress: 0 }]);
+      savedAttachments = await downloadGmailAttachments(
+        auth,
+        new Date(startDate),
+        new Date(endDate),
+        userFolder,
+        { rules: gmailRules, emailBodies, sync, account: gmailAccount, onProgress: onGmailProgress }
+      );
+    }
+    // Files added on the form are manual uploads
+    const uploadedAt = jobStore.get(jobId).createdAt;
+    const provenance = new Map([
+      ...additionalFiles.map((file) => [file, uploadProvenance(uploadedAt)]),
+      ...savedAttachments.map((attachment) => [attachment.filePath, attachment.provenance]),
+    ]);
 
     let files = fs.readdirSync(userFolder).map((file) => path.join(userFolder, file));
     additionalFiles.forEach(file => {
@@ -1143,102 +2263,97 @@ async function processNextGmailTask() {
       progress: 0,
     }));
 
-    const expenses = [];
-    const serviceAccountAuth = authenticateServiceAccount();
-    await serviceAccountAuth.authorize();
-
-    for (let i = 0; i < files.length; i++) {
-      progressData[i].status = 'Processing';
-      progressData[i].progress = 25;
+    const emitProgress = () => {
       progressEmitter.emit('progress', progressData);
+    };
 
-      const expenseData = await processFile(files[i], serviceAccountAuth, idNumber);
-
-      if (expenseData) {
-        expenses.push(expenseData);
-        progressData[i].status = 'Completed';
-        progressData[i].progress = 100;
-        progressData[i].businessName = expenseData.BusinessName || 'N/A';
-        progressData[i].date = expenseData.Date || 'N/A';
-        progressData[i].totalPrice = expenseData.TotalPrice
-          ? parseFloat(expenseData.TotalPrice).toFixed(2)
-          : 'N/A';
-      } else {
-        progressData[i].status = 'Failed';
-        progressData[i].progress = 100;
+    const { expenses, duplicates } = await processFiles(files, progressData, emitProgress, {
+      passwordValues,
+      splitPages,
+      provenance,
+    });
+
+    // Rows from messages an earlier run already processed are marked in the
+    // Excel; everything that gave expenses now is remembered for next time
+    const attachmentsByName = new Map(
+      savedAttachments.map((attachment) => [path.basename(attachment.filePath), attachment])
+    );
+    [...expenses, ...duplicates].forEach((expense) => {
+      const attachment = attachmentsByName.get(expense.FileName);
+      if (attachment && attachment.previousRun) {
+        expense.PreviousRun = formatDate(new Date(attachment.previousRun));
       }
+    });
+    const extractedNames = new Set([...expenses, ...duplicates].map((expense) => expense.FileName));
+    const processedItems = savedAttachments.filter((attachment) =>
+      extractedNames.has(path.basename(attachment.filePath))
+    );
+    if (syncFile) {
+      // Read again in case another job of the account finished meanwhile
+      const range = { startDate: formatDate(new Date(startDate)), endDate: formatDate(new Date(endDate)) };
+      saveSyncState(
+        syncFile,
+        recordProcessed(loadSyncState(syncFile), processedItems, { historyId, range })
+      );
+    }
 
-      progressEmitter.emit('progress', progressData);
+    if (GMAIL_LABEL_OPTIONS.enabled) {
+      // A message fails only when none of its files gave an expense (locked
+      // files, files Document AI could not read); one good attachment is enough
+      const processedMessages = new Set(processedItems.map((attachment) => attachment.messageId));
+      await labelMessages(
+        google.gmail({ version: 'v1', auth }),
+        {
+          processed: [...processedMessages],
+          failed: [
+            ...new Set(
+              savedAttachments
+                .map((attachment) => attachment.messageId)
+                .filter((messageId) => !processedMessages.has(messageId))
+            ),
+          ],
+        },
+        GMAIL_LABEL_OPTIONS
+      );
     }
 
-    progressEmitter.emit('progress', [{ status: 'Creating Excel file...', progress: 80 }]);
+    const lockedFiles = progressData.filter((item) => item.locked).map((item) => item.fileName);
 
-    const excelPath = await createExpenseExcel(
-      expenses,
-      userFolder,
-      customPrefix,
-      startDate,
-      endDate
-    );
-    const zipFileName = `processed_files_${Date.now()}.zip`;
-    const zipFilePath = await createZipFile(files, userFolder, zipFileName);
-    const excelFileName = encodeURIComponent(path.basename(excelPath));
-    const zipFileNameEncoded = encodeURIComponent(path.basename(zipFilePath));
-    const baseUrl = process.env.BASE_URL || 'http://localhost:8080';
-    
-    const excelUrl = `${baseUrl}/download/${excelFileName}`;
-    const zipUrl = `${baseUrl}/download/${zipFileNameEncoded}`;
-    
-    req.session.lastResults = {
-      excelUrl,
-      zipUrl,
-      timestamp: new Date().toISOString()
-    };
-    
-    progressEmitter.emit('progress', [
-      ...progressData,
-      {
-        status: 'Processing complete. Download the files below. Files will be available for 1 hour.',
-        progress: 100,
-        downloadLinks: [
-          { label: 'הורד קובץ אקסל', url: excelUrl },
-          { label: 'הורד קבצים מעובדים (ZIP)', url: zipUrl },
-        ],
-      },
-    ]);
-    
-    if (email) {
-      const mailOptions = {
-        from: process.env.EMAIL_USER,
-        to: email,
-        subject: 'Your Processed Expense Files',
-        html: `<p>שלום,</p>
-        <p>קבציך עובדו בהצלחה. ניתן להוריד את הקבצים מהקישורים הבאים:</p>
-        <p><a href="${excelUrl}">הורדת אקסל</a></p>
-        <p><a href="${zipUrl}">הורדת קובצי ZIP</a></p>
-        <p>הקישורים יהיו זמינים למשך שעה.</p>
-        <p>תודה,<br>השירות שלך</p>`
+    const lockedSummary = lockedFiles.length > 0
+      ? [{ status: `קבצים שנשארו נעולים: ${lockedFiles.join(', ')}`, lockedFiles }]
+      : [];
+
+    jobResult.expenses = expenses;
+    jobResult.duplicates = duplicates;
+    jobResult.fileResults = getFileResults(progressData);
+
+    if (review) {
+      jobResult = {
+        ...jobResult,
+        ...pauseForReview(
+          jobId,
+          { files, expenses, progressData, progressItems: [...progressData, ...lockedSummary] },
+          progressEmitter
+        ),
       };
-    
-      transporter.sendMail(mailOptions, (error, info) => {
-        if (error) {
-          console.error('Error sending email:', error);
-        } else {
-          console.log('Email sent:', info.response);
-        }
-      });
+    } else {
+      progressEmitter.emit('progress', [{ status: 'Creating Excel file...', progress: 80 }]);
+
+      jobResult.artifacts = await generateJobOutputs(
+        jobStore.get(jobId),
+        { files, expenses, duplicates, progressItems: [...progressData, ...lockedSummary] },
+        { progressEmitter, req }
+      );
     }
 
-    scheduleFolderDeletion(userFolder, 3600000);
     req.session.gmailProgressEmitter = null;
   } catch (error) {
     console.error('Error processing Gmail attachments:', error);
+    jobResult = { state: 'failed', error: error.message };
     progressEmitter.emit('progress', [{ status: `Error: ${error.message}`, progress: 100 }]);
   } finally {
-    scheduleFolderDeletion(userFolder, 3600000);
-    progressEmitters.delete(sessionId);
-    isGmailProcessing = false;
-    processNextGmailTask();
+    finishJob(jobId, jobResult);
+    scheduleJobCleanup(jobId, FILE_RETENTION_MS);
   }
 }
 
@@ -1263,13 +2378,177 @@ function isPdfFile(contentType, fileName) {
   }
 }
 
-async function downloadGmailAttachments(auth, startDate, endDate, folderPath) {
-  const gmail = google.gmail({ version: 'v1', auth });
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/jpg': '.jpg',
+  'image/pjpeg': '.jpg',
+  'image/png': '.png',
+  'image/tiff': '.tif',
+};
 
-  const positiveSubjectKeywords = [    'קבלה',    'חשבונית',    'חשבונית מס',    'הקבלה',   'החשבונית',   'קבלת',    'החשבונית החודשית',    'אישור תשלום',    'receipt',    'invoice',    'חשבון חודשי',  ];
+function isImageFile(contentType, fileName) {
+  const ext = path.extname(fileName || '').toLowerCase();
+  return (
+    Boolean(IMAGE_EXTENSIONS[(contentType || '').toLowerCase()]) ||
+    ['.jpg', '.jpeg', '.png', '.tif', '.tiff'].includes(ext)
+  );
+}
+
+function partHeader(part, name) {
+  const header = (part.headers || []).find((h) => h.name.toLowerCase() === name);
+  return header ? header.value : '';
+}
+
+// Attachments plus inline images, which often have no file name and are only
+// referenced from the HTML body by Content-ID
+function getAttachmentParts(payload) {
+  return getParts(payload).filter(
+    (part) =>
+      (part.filename && part.filename.length > 0) ||
+      (isImageFile(part.mimeType, '') && part.body && (part.body.attachmentId || part.body.data))
+  );
+}
 
-  const excludedSenders = [    'חברת חשמל לישראל',    'עיריית תל אביב-יפו',    'ארנונה - עיריית תל-אביב-יפו',  ];
-  const senderExceptionKeywords = [    'קבלה',    'חשבונית',    'חשבונית מס',    'קבלת',    'הקבלה',  ];
+// Images get an extension the pipeline recognizes
+function attachmentFileName(part, index) {
+  const contentId = partHeader(part, 'content-id').replace(/[<>]/g, '').split('@')[0];
+  const fileName = part.filename || `inline-${contentId || index + 1}`;
+  if (!isImageFile('', fileName) && IMAGE_EXTENSIONS[(part.mimeType || '').toLowerCase()]) {
+    return `${fileName}${IMAGE_EXTENSIONS[part.mimeType.toLowerCase()]}`;
+  }
+  return fileName;
+}
+
+// Logos, signatures and tracking pixels: by size before download, by pixel
+// dimensions after. Returns the reason, or null for a plausible receipt.
+function smallImageReason(part, buffer) {
+  const size = buffer ? buffer.length : part.body && part.body.size;
+  if (size && size < GMAIL_MIN_IMAGE_BYTES) {
+    return `image smaller than ${GMAIL_MIN_IMAGE_BYTES} bytes`;
+  }
+  const dimensions = buffer && readImageSize(buffer);
+  if (dimensions && Math.min(dimensions.width, dimensions.height) < GMAIL_MIN_IMAGE_SIDE) {
+    return `image ${dimensions.width}x${dimensions.height} px`;
+  }
+  return null;
+}
+
+// The HTML body of a message, or its plain text when it has no HTML
+function getEmailBody(payload) {
+  const bodyParts = getParts(payload).filter((part) => !part.filename && part.body && part.body.data);
+  const decode = (part) => (part ? Buffer.from(part.body.data, 'base64').toString('utf8') : '');
+  return {
+    html: decode(bodyParts.find((part) => part.mimeType === 'text/html')),
+    text: decode(bodyParts.find((part) => part.mimeType === 'text/plain')),
+  };
+}
+
+const GMAIL_PROGRESS_LABELS = {
+  headers: 'Checking Gmail messages',
+  messages: 'Reading matching Gmail messages',
+  downloads: 'Downloading Gmail attachments',
+};
+
+const GMAIL_RATE_LIMIT_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded'];
+const RETRYABLE_NETWORK_ERRORS = ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED'];
+
+// Gmail reports quota errors as 429, or as 403 with a rate limit reason
+function isRetryableGmailError(error) {
+  const status = Number((error.response && error.response.status) || error.code);
+  if (status === 429 || status >= 500) return true;
+  if (status === 403) {
+    return (error.errors || []).some((detail) => GMAIL_RATE_LIMIT_REASONS.includes(detail.reason));
+  }
+  return RETRYABLE_NETWORK_ERRORS.includes(error.code);
+}
+
+// A message Gmail still refuses after the retries (deleted since the search,
+// say) is left out instead of failing the whole job. skip() logs it, count()
+// feeds the progress updates.
+function createMessageSkipper() {
+  const skipped = new Set();
+  return {
+    skip(messageId, error) {
+      console.error(`Skipping Gmail message ${messageId}:`, error.message);
+      skipped.add(messageId);
+    },
+    count: () => skipped.size,
+  };
+}
+
+// Runs one Gmail API call, backing off and retrying while Gmail is throttling
+function gmailRequest(request) {
+  return retryWithBackoff(request, {
+    retries: GMAIL_MAX_RETRIES,
+    shouldRetry: isRetryableGmailError,
+    onRetry: (error, attempt, delayMs) => {
+      console.log(`Gmail request failed (${error.message}), retry ${attempt} in ${Math.round(delayMs)} ms`);
+    },
+  });
+}
+
+// Number of messages added to the mailbox since historyId, or null when
+// Gmail no longer keeps history that far back
+async function countMessagesAddedSince(gmail, historyId) {
+  let count = 0;
+  let pageToken = null;
+  try {
+    do {
+      const res = await gmailRequest(() =>
+        gmail.users.history.list({
+          userId: 'me',
+          startHistoryId: historyId,
+          historyTypes: ['messageAdded'],
+          pageToken,
+        })
+      );
+      (res.data.history || []).forEach((entry) => {
+        count += (entry.messagesAdded || []).length;
+      });
+      pageToken = res.data.nextPageToken;
+    } while (pageToken);
+  } catch (error) {
+    console.log('Gmail history unavailable, listing the whole range:', error.message);
+    return null;
+  }
+  return count;
+}
+
+// Lists every PDF and image attachment in the date range as a candidate, with
+// the rules' decision and the rule behind it, so they can be shown before
+// anything is downloaded. With emailBodies, a message whose body the rules
+// accept also gets a 'body' candidate, chosen when no attachment is.
+//
+// Headers are fetched first, and only messages whose sender and subject pass
+// the rules are fetched in full, unless listRejected asks for the attachments
+// of every message. Requests run GMAIL_CONCURRENCY at a time.
+//
+// Candidate: { id, messageId, itemId, kind: 'pdf' | 'image' | 'body', sender,
+// subject, date, fileName, size, accepted, rule }. A body candidate also has
+// bodyAccepted, true when the rules accept the body should the attachments
+// all turn out to be logos.
+//
+// sync: { state, newOnly } from lib/gmail-sync. With newOnly, messages an
+// earlier run processed are not fetched at all.
+// onProgress({ stage: 'headers' | 'messages', done, total, skipped }) is called
+// as each message is fetched; skipped counts the messages left out on errors.
+// Resolves to { candidates, payloads } where payloads maps message ID to the
+// fetched message, which downloadGmailCandidates reuses.
+async function findGmailCandidates(
+  auth,
+  startDate,
+  endDate,
+  {
+    rules = DEFAULT_GMAIL_RULES,
+    emailBodies = false,
+    sync = null,
+    listRejected = false,
+    onProgress = () => {},
+  } = {}
+) {
+  const gmail = google.gmail({ version: 'v1', auth });
+  const candidates = [];
+  const payloads = new Map();
 
   endDate.setHours(23, 59, 59, 999);
   const queryEndDate = new Date(endDate.getTime() + 24 * 60 * 60 * 1000);
@@ -1277,19 +2556,35 @@ async function downloadGmailAttachments(auth, startDate, endDate, folderPath) {
   const startDateQuery = formatDate(startDate).replace(/-/g, '/');
   const endDateQuery = formatDate(queryEndDate).replace(/-/g, '/');
 
-  const query = `after:${startDateQuery} before:${endDateQuery} has:attachment`;
+  const query = buildGmailQuery(rules, startDateQuery, endDateQuery, { withoutAttachments: emailBodies });
   console.log('Gmail query:', query);
 
+  // No messages added since the last run only means nothing is new when that
+  // run searched the whole range; otherwise the seen-message filter decides
+  const newOnly = Boolean(sync && sync.newOnly);
+  if (
+    newOnly &&
+    sync.state.historyId &&
+    isRangeCovered(sync.state, formatDate(startDate), formatDate(endDate))
+  ) {
+    if ((await countMessagesAddedSince(gmail, sync.state.historyId)) === 0) {
+      console.log('No new Gmail messages since the last run');
+      return { candidates, payloads };
+    }
+  }
+
   let nextPageToken = null;
   const allMessageIds = [];
 
   do {
-    const res = await gmail.users.messages.list({
-      userId: 'me',
-      q: query,
-      pageToken: nextPageToken,
-      maxResults: 500,
-    });
+    const res = await gmailRequest(() =>
+      gmail.users.messages.list({
+        userId: 'me',
+        q: query,
+        pageToken: nextPageToken,
+        maxResults: 500,
+      })
+    );
     const messages = res.data.messages || [];
     allMessageIds.push(...messages);
     nextPageToken = res.data.nextPageToken;
@@ -1297,171 +2592,317 @@ async function downloadGmailAttachments(auth, startDate, endDate, folderPath) {
 
   console.log('Total messages found:', allMessageIds.length);
 
-  for (const messageData of allMessageIds) {
-    const msg = await gmail.users.messages.get({
-      userId: 'me',
-      id: messageData.id,
-      format: 'full',
+  let messagesToFetch = allMessageIds;
+  if (newOnly) {
+    messagesToFetch = allMessageIds.filter((messageData) => !isMessageSeen(sync.state, messageData.id));
+    console.log(
+      'Skipping messages processed in earlier runs:',
+      allMessageIds.length - messagesToFetch.length
+    );
+  }
+
+  const skipper = createMessageSkipper();
+  let headersDone = 0;
+  const headers = await mapWithConcurrency(messagesToFetch, GMAIL_CONCURRENCY, async (messageData) => {
+    let res = null;
+    try {
+      res = await gmailRequest(() =>
+        gmail.users.messages.get({
+          userId: 'me',
+          id: messageData.id,
+          format: 'metadata',
+          metadataHeaders: ['From', 'Subject'],
+        })
+      );
+    } catch (error) {
+      skipper.skip(messageData.id, error);
+    }
+    onProgress({
+      stage: 'headers',
+      done: ++headersDone,
+      total: messagesToFetch.length,
+      skipped: skipper.count(),
     });
+    return res && res.data;
+  });
 
-    const headers = msg.data.payload.headers;
-    const fromHeader = headers.find((h) => h.name.toLowerCase() === 'from');
-    const subjectHeader = headers.find((h) => h.name.toLowerCase() === 'subject');
+  // Attachment names are not known yet, so only the sender and subject rules
+  // can turn a message down here
+  const messagesToRead = messagesToFetch.filter((messageData, index) => {
+    if (!headers[index]) return false;
+    const payload = headers[index].payload || {};
+    const subject = partHeader(payload, 'subject');
+    const decision = evaluateMessage({ sender: partHeader(payload, 'from'), subject }, rules);
+    if (!decision.accepted) {
+      console.log(`Skipping message (${decision.rule}):`, subject);
+    }
+    return decision.accepted || listRejected;
+  });
+
+  let messagesDone = 0;
+  const messages = await mapWithConcurrency(messagesToRead, GMAIL_CONCURRENCY, async (messageData) => {
+    let res = null;
+    try {
+      res = await gmailRequest(() =>
+        gmail.users.messages.get({
+          userId: 'me',
+          id: messageData.id,
+          format: 'full',
+        })
+      );
+    } catch (error) {
+      skipper.skip(messageData.id, error);
+    }
+    onProgress({
+      stage: 'messages',
+      done: ++messagesDone,
+      total: messagesToRead.length,
+      skipped: skipper.count(),
+    });
+    return res && res.data;
+  });
 
-    const sender = fromHeader ? fromHeader.value : '';
-    const subject = subjectHeader ? subjectHeader.value : '';
+  messagesToRead.forEach((messageData, messageIndex) => {
+    const message = messages[messageIndex];
+    if (!message) return;
+    if (!message.payload) {
+      console.log('No attachments found in message:', messageData.id);
+      return;
+    }
+    payloads.set(messageData.id, message);
+
+    const sender = partHeader(message.payload, 'from');
+    const subject = partHeader(message.payload, 'subject');
+    const date = message.internalDate ? new Date(Number(message.internalDate)).toISOString() : null;
+    const candidateOf = (fields) => ({
+      id: `${messageData.id}/${fields.itemId}`,
+      messageId: messageData.id,
+      sender,
+      subject,
+      date,
+      ...fields,
+    });
 
-    const senderEmailMatch = sender.match(/<(.+?)>/);
-    const senderEmail = senderEmailMatch ? senderEmailMatch[1] : sender;
-    const senderName = sender.split('<')[0].trim();
+    const attachmentParts = getAttachmentParts(message.payload);
+    const fileNames = attachmentParts.map((part, index) => attachmentFileName(part, index));
 
-    const lowerCaseSubject = subject.toLowerCase();
+    const messageDecision = evaluateMessage({ sender, subject, fileNames }, rules);
 
-    let isExcludedSender = false;
-    for (const excludedSender of excludedSenders) {
-      if (
-        senderName.includes(excludedSender) ||
-        senderEmail.includes(excludedSender)
-      ) {
-        isExcludedSender = true;
-        break;
+    let attachmentAccepted = false;
+    attachmentParts.forEach((part, index) => {
+      if (!(part.body && (part.body.attachmentId || part.body.data))) return;
+
+      const fileName = fileNames[index];
+      const isImage = !isPdfFile(part.mimeType, fileName) && isImageFile(part.mimeType, fileName);
+      if (!isImage && !isPdfFile(part.mimeType, fileName)) {
+        console.log('Skipping attachment that is not a PDF or image:', fileName);
+        return;
       }
-    }
 
-    if (isExcludedSender) {
-      let containsExceptionKeyword = false;
-      for (const keyword of senderExceptionKeywords) {
-        if (lowerCaseSubject.includes(keyword.toLowerCase())) {
-          containsExceptionKeyword = true;
-          break;
-        }
+      let decision = messageDecision.accepted
+        ? evaluateAttachment(messageDecision, fileName, rules)
+        : messageDecision;
+      const sizeReason = decision.accepted && isImage && smallImageReason(part);
+      if (sizeReason) {
+        decision = { accepted: false, rule: sizeReason };
       }
-      if (!containsExceptionKeyword) {
+      if (messageDecision.accepted) {
         console.log(
-          'Skipping message from excluded sender without exception keyword:',
-          subject
+          `${decision.accepted ? 'Accepting' : 'Skipping'} attachment (${decision.rule}):`,
+          fileName
         );
-        continue;
       }
-    }
+      attachmentAccepted = attachmentAccepted || decision.accepted;
+
+      candidates.push(
+        candidateOf({
+          itemId: part.partId || String(index),
+          kind: isImage ? 'image' : 'pdf',
+          fileName,
+          size: (part.body && part.body.size) || null,
+          accepted: decision.accepted,
+          rule: decision.rule,
+        })
+      );
+    });
 
-    let subjectMatchesPositiveKeywords = false;
-    for (const keyword of positiveSubjectKeywords) {
-      if (lowerCaseSubject.includes(keyword.toLowerCase())) {
-        subjectMatchesPositiveKeywords = true;
-        break;
+    if (emailBodies && messageDecision.accepted) {
+      const decision = evaluateEmailBody(messageDecision);
+      const body = getEmailBody(message.payload);
+      if (!decision.accepted) {
+        if (attachmentParts.length === 0) {
+          console.log(`Skipping email body (${decision.rule}):`, subject);
+        }
+      } else if (!body.html.trim() && !body.text.trim()) {
+        console.log('Skipping email with an empty body:', subject);
+      } else {
+        candidates.push(
+          candidateOf({
+            itemId: BODY_ITEM,
+            kind: 'body',
+            fileName: `email-${messageData.id}.pdf`,
+            size: null,
+            accepted: !attachmentAccepted,
+            bodyAccepted: true,
+            rule: attachmentAccepted ? 'an attachment is the receipt' : decision.rule,
+          })
+        );
       }
     }
+  });
 
-    if (msg.data.payload) {
-      const parts = getParts(msg.data.payload);
+  return { candidates, payloads };
+}
 
-      let receiptFoundInThread = false;
+// Downloads candidates from findGmailCandidates into folderPath, working on
+// GMAIL_CONCURRENCY messages at a time.
+//
+// By default the rules decide: accepted attachments are taken, images whose
+// pixel size gives them away as logos are dropped, and a message left with no
+// attachment falls back to its body when the rules accept it. With
+// userSelected, exactly the given candidates are taken.
+//
+// Files get a name no other file in folderPath has, so attachments with the
+// same name don't overwrite each other.
+//
+// onProgress({ stage: 'downloads', done, total, skipped }) is called as each
+// message is done. A message that fails keeps the files saved before the error.
+// Resolves to [{ filePath, sender, subject, messageId, itemId, previousRun,
+// provenance }]; previousRun is when an earlier run processed the item, from
+// sync.state, and provenance the lib/provenance record, linking to the
+// message in account.
+async function downloadGmailCandidates(
+  auth,
+  candidates,
+  folderPath,
+  { sync = null, payloads = new Map(), userSelected = false, account = null, onProgress = () => {} } = {}
+) {
+  const gmail = google.gmail({ version: 'v1', auth });
+  const takenNames = new Set();
+  const previousRun = (messageId, itemId) => (sync ? previousRunOf(sync.state, messageId, itemId) : null);
 
-      const attachmentKeywords = [        'receipt',        'חשבונית',      ];
+  const byMessage = new Map();
+  candidates.forEach((candidate) => {
+    if (!byMessage.has(candidate.messageId)) byMessage.set(candidate.messageId, []);
+    byMessage.get(candidate.messageId).push(candidate);
+  });
 
-      for (const part of parts) {
-        if (part.filename && part.filename.length > 0) {
-          const fileName = part.filename;
-          const normalizedFileName = fileName.toLowerCase();
-          for (const keyword of attachmentKeywords) {
-            if (normalizedFileName.includes(keyword.toLowerCase())) {
-              receiptFoundInThread = true;
-              break;
-            }
-          }
-          if (receiptFoundInThread) {
-            break;
-          }
+  const messageWork = [...byMessage]
+    .map(([messageId, items]) => ({
+      messageId,
+      wanted: items.filter((item) => item.kind !== 'body' && (userSelected || item.accepted)),
+      bodyItem: items.find((item) => item.kind === 'body' && (userSelected || item.bodyAccepted)),
+    }))
+    .filter(({ wanted, bodyItem }) => wanted.length > 0 || bodyItem);
+
+  const skipper = createMessageSkipper();
+  let messagesDone = 0;
+  const savedPerMessage = await mapWithConcurrency(messageWork, GMAIL_CONCURRENCY, async (work) => {
+    const { messageId, wanted, bodyItem } = work;
+    const saved = [];
+
+    try {
+      let message = payloads.get(messageId);
+      if (!message) {
+        const msg = await gmailRequest(() =>
+          gmail.users.messages.get({ userId: 'me', id: messageId, format: 'full' })
+        );
+        message = msg.data;
+      }
+      const attachmentParts = getAttachmentParts(message.payload);
+      const save = (filePath, item) => {
+        saved.push({
+          filePath,
+          sender: item.sender,
+          subject: item.subject,
+          messageId,
+          itemId: item.itemId,
+          previousRun: previousRun(messageId, item.itemId),
+          provenance: gmailProvenance(item, account),
+        });
+      };
+
+      for (const item of wanted) {
+        const partIndex = attachmentParts.findIndex(
+          (part, index) => (part.partId || String(index)) === item.itemId
+        );
+        const part = attachmentParts[partIndex];
+        if (!part) {
+          console.log('Attachment no longer in message:', item.fileName);
+          continue;
+        }
+
+        let data = part.body.data;
+        if (part.body.attachmentId) {
+          const attachment = await gmailRequest(() =>
+            gmail.users.messages.attachments.get({
+              userId: 'me',
+              messageId,
+              id: part.body.attachmentId,
+            })
+          );
+          data = attachment.data.data;
+        }
+        const buffer = Buffer.from(data, 'base64');
+
+        const dimensionReason = !userSelected && item.kind === 'image' && smallImageReason(part, buffer);
+        if (dimensionReason) {
+          console.log(`Skipping ${dimensionReason}:`, item.fileName);
+          continue;
         }
+
+        const filePath = path.join(folderPath, uniqueFileName(folderPath, item.fileName, takenNames));
+        fs.writeFileSync(filePath, buffer);
+        save(filePath, item);
+        console.log(`Saved ${item.kind === 'image' ? 'image' : 'PDF'} attachment (${item.rule}): ${filePath}`);
       }
 
-      for (const part of parts) {
-        if (part.filename && part.filename.length > 0) {
-          const attachmentId = part.body && part.body.attachmentId;
-          if (!attachmentId) continue;
-
-          const contentType = part.mimeType;
-          const fileName = part.filename;
-          const normalizedFileName = fileName.toLowerCase();
-          const isPDF = isPdfFile(contentType, fileName);
-
-          if (isPDF) {
-            if (subjectMatchesPositiveKeywords) {
-              if (receiptFoundInThread) {
-                let attachmentMatchesKeyword = false;
-                for (const keyword of attachmentKeywords) {
-                  if (normalizedFileName.includes(keyword.toLowerCase())) {
-                    attachmentMatchesKeyword = true;
-                    break;
-                  }
-                }
-                if (attachmentMatchesKeyword) {
-                  const attachment = await gmail.users.messages.attachments.get({
-                    userId: 'me',
-                    messageId: messageData.id,
-                    id: attachmentId,
-                  });
-
-                  const data = attachment.data.data;
-                  const buffer = Buffer.from(data, 'base64');
-
-                  const filePath = path.join(folderPath, sanitize(fileName));
-                  fs.writeFileSync(filePath, buffer);
-                  console.log(`Saved PDF attachment: ${filePath}`);
-                } else {
-                  console.log('Skipping non-receipt PDF in message with receipt:', fileName);
-                }
-              } else {
-                const attachment = await gmail.users.messages.attachments.get({
-                  userId: 'me',
-                  messageId: messageData.id,
-                  id: attachmentId,
-                });
-
-                const data = attachment.data.data;
-                const buffer = Buffer.from(data, 'base64');
-
-                const filePath = path.join(folderPath, sanitize(fileName));
-                fs.writeFileSync(filePath, buffer);
-                console.log(`Saved PDF attachment: ${filePath}`);
-              }
-            } else {
-              let attachmentMatchesKeyword = false;
-              for (const keyword of attachmentKeywords) {
-                if (normalizedFileName.includes(keyword.toLowerCase())) {
-                  attachmentMatchesKeyword = true;
-                  break;
-                }
-              }
-              if (attachmentMatchesKeyword) {
-                const attachment = await gmail.users.messages.attachments.get({
-                  userId: 'me',
-                  messageId: messageData.id,
-                  id: attachmentId,
-                });
-
-                const data = attachment.data.data;
-                const buffer = Buffer.from(data, 'base64');
-
-                const filePath = path.join(folderPath, sanitize(fileName));
-                fs.writeFileSync(filePath, buffer);
-                console.log(`Saved PDF attachment based on filename keyword: ${filePath}`);
-              } else {
-                console.log('Skipping attachment as it does not match criteria:', fileName);
-              }
-            }
-          } else {
-            console.log('Skipping non-PDF attachment:', fileName);
-          }
+      if (bodyItem && (userSelected || saved.length === 0)) {
+        const filePath = path.join(folderPath, uniqueFileName(folderPath, bodyItem.fileName, takenNames));
+        try {
+          await createEmailPdf(
+            {
+              sender: bodyItem.sender,
+              subject: bodyItem.subject,
+              date: bodyItem.date ? new Date(bodyItem.date) : null,
+              ...getEmailBody(message.payload),
+            },
+            filePath,
+            { fontPath: RECEIPTS_PDF_FONT }
+          );
+          save(filePath, bodyItem);
+          console.log(`Saved email body as PDF: ${filePath}`);
+        } catch (error) {
+          console.error('Error converting email body to PDF:', bodyItem.subject, error.message);
         }
       }
-    } else {
-      console.log('No attachments found in message:', subject);
+    } catch (error) {
+      skipper.skip(messageId, error);
     }
-  }
 
-  return folderPath;
+    onProgress({
+      stage: 'downloads',
+      done: ++messagesDone,
+      total: messageWork.length,
+      skipped: skipper.count(),
+    });
+    return saved;
+  });
+
+  return savedPerMessage.flat();
+}
+
+// Downloads what the account's Gmail rules accept, logging the rule behind
+// every decision. Options as for findGmailCandidates, plus the account for
+// the provenance links.
+async function downloadGmailAttachments(auth, startDate, endDate, folderPath, options = {}) {
+  const { candidates, payloads } = await findGmailCandidates(auth, startDate, endDate, options);
+  return downloadGmailCandidates(auth, candidates, folderPath, {
+    sync: options.sync,
+    payloads,
+    account: options.account,
+    onProgress: options.onProgress,
+  });
 }
 
 function getParts(payload) {
@@ -1480,6 +2921,59 @@ function getParts(payload) {
   return parts;
 }
 
+app.get('/category-rules', (req, res) => {
+  res.json(loadCategoryRules(CATEGORY_RULES_FILE));
+});
+
+function requireAdminKey(req, res, next) {
+  if (!ADMIN_KEY) {
+    res.status(403).json({ error: 'Editing category rules is disabled; set ADMIN_KEY to enable it.' });
+    return;
+  }
+  if (!keysMatch(String(req.get('X-Admin-Key') || ''), ADMIN_KEY)) {
+    res.status(401).json({ error: 'Wrong admin key.' });
+    return;
+  }
+  next();
+}
+
+app.post('/category-rules', requireAdminKey, (req, res) => {
+  try {
+    saveCategoryRules(CATEGORY_RULES_FILE, req.body);
+    res.json({ saved: true });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// JSON routes answer 401 instead of redirecting to Google's sign-in page
+function requireGmailSession(req, res, next) {
+  if (!hasGmailScopes(req.session.tokens)) {
+    res.status(401).json({ error: 'Sign in with Google first.' });
+    return;
+  }
+  authenticateGmail(req, res, next);
+}
+
+app.get('/gmail-rules', requireGmailSession, async (req, res) => {
+  const account = await getGmailAccount(req);
+  res.json({ account, rules: loadGmailRules(gmailRulesFile(GMAIL_RULES_FOLDER, account)) });
+});
+
+app.post('/gmail-rules', requireGmailSession, async (req, res) => {
+  const rulesFile = gmailRulesFile(GMAIL_RULES_FOLDER, await getGmailAccount(req));
+  if (!rulesFile) {
+    res.status(500).json({ error: 'Could not identify the Gmail account.' });
+    return;
+  }
+  try {
+    saveGmailRules(rulesFile, req.body);
+    res.json({ saved: true });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
 app.get('/logout', (req, res) => {
   req.session.destroy();
   res.redirect('/');
@@ -1497,9 +2991,73 @@ app.get('/last-results', (req, res) => {
     <p>Processed at: ${new Date(lastResults.timestamp).toLocaleString()}</p>
     <p><a href="${lastResults.excelUrl}">Download Excel</a></p>
     <p><a href="${lastResults.zipUrl}">Download ZIP</a></p>
+    ${lastResults.receiptsPdfUrl ? `<p><a href="${lastResults.receiptsPdfUrl}">Download merged PDF</a></p>` : ''}
+    ${lastResults.openFormatUrl ? `<p><a href="${lastResults.openFormatUrl}">Download open format (מבנה אחיד)</a></p>` : ''}
   `);
 });
 
+// Rebuilds the queue and the retention timers from the job store. Upload jobs
+// whose files are still on disk are run again from the start; Gmail jobs need
+// the user's OAuth session, which does not survive a restart, so they fail.
+function recoverJobs() {
+  for (const job of jobStore.list()) {
+    if (job.state === 'queued' || job.state === 'running') {
+      const canResume =
+        job.type === 'upload' && (job.inputs.files || []).every((file) => fs.existsSync(file));
+
+      if (canResume) {
+        console.log(`Resuming interrupted job ${job.id}`);
+        jobStore.update(job.id, { state: 'queued' });
+        const progressEmitter = createProgressEmitter(job.id);
+        taskQueue.push({
+          jobId: job.id,
+          sessionId: job.sessionId,
+          userFolder: job.userFolder,
+          ...job.inputs,
+          progressEmitter,
+          req: null,
+        });
+        continue;
+      }
+
+      console.log(`Failing interrupted job ${job.id}`);
+      createProgressEmitter(job.id).emit('progress', [
+        { status: 'Processing Error: Interrupted by a server restart', progress: 100 },
+      ]);
+      finishJob(job.id, { state: 'failed', error: 'Interrupted by a server restart' });
+    } else if (job.state === 'preview') {
+      // The PDF passwords were never written to disk, so continuing without
+      // them would leave encrypted PDFs locked; the search has to start over
+      const error = 'The server restarted before the files were chosen. Search Gmail again and re-enter the PDF passwords.';
+      console.log(`Failing preview job ${job.id}`);
+      createProgressEmitter(job.id).emit('progress', [
+        { status: `Processing Error: ${error}`, progress: 100 },
+      ]);
+      finishJob(job.id, { state: 'failed', error });
+    }
+    scheduleJobCleanup(job.id, FILE_RETENTION_MS);
+  }
+
+  if (taskQueue.length > 0) {
+    processNextTask();
+  }
+}
+
+app.use(
+  '/api/v1',
+  createApiRouter({
+    apiKeys: parseApiKeys(process.env.API_KEYS),
+    inputFolder: INPUT_FOLDER,
+    jobStore,
+    upload,
+    enqueueUploadJob,
+    getQueuePosition: (jobId) => getQueuePosition(taskQueue, jobId),
+    sendDownload,
+  })
+);
+
+recoverJobs();
+
 const PORT = process.env.PORT || 8080;
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);